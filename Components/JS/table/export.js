@@ -0,0 +1,217 @@
+/**
+ * Serializes table rows into a downloadable file.
+ * @brief Builds a CSV, TSV, JSON or XLSX Blob entirely in the browser.
+ * @param {string} format 'csv', 'tsv', 'json' or 'xlsx'.
+ * @param {Array} columns The exported columns as `{ id, caption }`. Captions become the header row; JSON objects are keyed by id.
+ * @param {Array} records One array of cell values per row, in column order.
+ * @param {Object} [options] Format options.
+ * @param {string} [options.delimiter] The CSV field delimiter. Defaults to ',' (and to a tab for TSV).
+ * @param {boolean} [options.bom] Prefixes CSV and TSV with a UTF-8 byte order mark so spreadsheet apps detect the encoding. Defaults to true.
+ * @param {boolean} [options.escapeFormulas] Prefixes CSV and TSV text starting with =, +, - or @ with a quote so spreadsheet apps do not run it. Defaults to true.
+ * @param {string} [options.sheetName] The XLSX worksheet name. Defaults to 'Sheet1'.
+ * @returns {Blob} The file contents with a matching MIME type.
+ */
+export function createExportBlob(format, columns, records, options = {}) {
+    const settings = {
+        delimiter: format === 'tsv' ? '\t' : ',',
+        bom: true,
+        escapeFormulas: true,
+        sheetName: 'Sheet1',
+        ...options,
+    };
+
+    /**
+     * @brief Converts a cell value into the text written to text formats.
+     * @param {*} value The cell value.
+     * @returns {string} Dates as ISO strings, objects as JSON, empty values as ''.
+     */
+    const toText = (value) => {
+        if (value == null) return '';
+        if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    /**
+     * @brief Neutralizes text that a spreadsheet would otherwise evaluate as a formula.
+     * @param {*} value The cell value.
+     * @returns {*} The value, with a leading quote added to formula-like text.
+     */
+    const guardFormula = (value) => {
+        if (!settings.escapeFormulas || typeof value !== 'string') return value;
+        return /^[=+\-@\t\r]/.test(value) && !Number.isFinite(Number(value)) ? `'${value}` : value;
+    };
+
+    /**
+     * @brief Serializes the rows as delimiter-separated text (RFC 4180 quoting, CRLF line endings).
+     * @returns {string} The file text.
+     */
+    const toDelimited = () => {
+        const quote = (value) => {
+            const text = toText(guardFormula(value));
+            const needsQuotes = text.includes(settings.delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+            return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.map(col => col.caption ?? col.id), ...records].map(values => values.map(quote).join(settings.delimiter));
+        return `${settings.bom ? '\uFEFF' : ''}${lines.join('\r\n')}\r\n`;
+    };
+
+    /**
+     * @brief Escapes text for XML content and attributes, dropping characters XML cannot represent.
+     * @param {string} text The raw text.
+     * @returns {string} The escaped text.
+     */
+    const escapeXml = (text) => String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    /**
+     * @brief Converts a zero-based column index to a spreadsheet column name (0 → A, 26 → AA).
+     * @param {number} index The column index.
+     * @returns {string} The column name.
+     */
+    const columnName = (index) => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        return name;
+    };
+
+    /**
+     * @brief Renders one worksheet cell. Numbers and booleans keep their type; everything else is an inline string.
+     * @description Inline strings are never evaluated, so formula-like text is written as it is.
+     * @param {*} value The cell value.
+     * @param {string} ref The cell reference, e.g. 'B2'.
+     * @returns {string} The `<c>` element, or '' for an empty cell.
+     */
+    const toXlsxCell = (value, ref) => {
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        const text = toText(value);
+        if (text === '') return '';
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    };
+
+    /**
+     * @brief Builds the parts of a minimal single-sheet workbook.
+     * @returns {Array} `[path, xml]` pairs.
+     */
+    const toXlsxParts = () => {
+        const rows = [columns.map(col => col.caption ?? col.id), ...records].map((values, rowIndex) =>
+            `<row r="${rowIndex + 1}">${values.map((value, i) => toXlsxCell(value, `${columnName(i)}${rowIndex + 1}`)).join('')}</row>`
+        );
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const sheetName = escapeXml(String(settings.sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+        return [
+            ['[Content_Types].xml', `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'],
+            ['_rels/.rels', `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'],
+            ['xl/workbook.xml', `${header}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+                + `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+            ['xl/_rels/workbook.xml.rels', `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>'],
+            ['xl/worksheets/sheet1.xml', `${header}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+                + `<sheetData>${rows.join('')}</sheetData></worksheet>`],
+        ];
+    };
+
+    /**
+     * @brief Computes the CRC-32 checksum of a byte array, as required by the ZIP format.
+     * @param {Uint8Array} bytes The data.
+     * @returns {number} The unsigned checksum.
+     */
+    const crc32 = (bytes) => {
+        let crc = -1;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+        return (crc ^ -1) >>> 0;
+    };
+
+    /**
+     * @brief Packs files into an uncompressed (stored) ZIP archive.
+     * @param {Array} files `[path, text]` pairs.
+     * @returns {Uint8Array} The archive bytes.
+     */
+    const createZip = (files) => {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(([path, text]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(text);
+            const crc = crc32(data);
+            // Shared header fields: version, UTF-8 flag, stored method, DOS time and date (1980-01-01), CRC and sizes.
+            const fields = (view, at) => {
+                view.setUint16(at, 20, true);
+                view.setUint16(at + 2, 0x0800, true);
+                view.setUint16(at + 4, 0, true);
+                view.setUint16(at + 6, 0, true);
+                view.setUint16(at + 8, 0x21, true);
+                view.setUint32(at + 10, crc, true);
+                view.setUint32(at + 14, data.length, true);
+                view.setUint32(at + 18, data.length, true);
+                view.setUint16(at + 22, name.length, true);
+            };
+
+            const local = new Uint8Array(30 + name.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            fields(localView, 4);
+            local.set(name, 30);
+
+            const central = new Uint8Array(46 + name.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true);
+            fields(centralView, 6);
+            centralView.setUint32(42, offset, true);
+            central.set(name, 46);
+
+            chunks.push(local, data);
+            centralDirectory.push(central);
+            offset += local.length + data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((size, entry) => size + entry.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, directorySize, true);
+        endView.setUint32(16, offset, true);
+
+        const archive = new Uint8Array(offset + directorySize + end.length);
+        let position = 0;
+        [...chunks, ...centralDirectory, end].forEach(chunk => {
+            archive.set(chunk, position);
+            position += chunk.length;
+        });
+        return archive;
+    };
+
+    switch (format) {
+        case 'csv':
+            return new Blob([toDelimited()], { type: 'text/csv;charset=utf-8' });
+        case 'tsv':
+            return new Blob([toDelimited()], { type: 'text/tab-separated-values;charset=utf-8' });
+        case 'json': {
+            const objects = records.map(values => Object.fromEntries(columns.map((col, i) => [col.id, values[i] ?? null])));
+            return new Blob([JSON.stringify(objects, null, 2)], { type: 'application/json' });
+        }
+        case 'xlsx':
+            return new Blob([createZip(toXlsxParts())], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        default:
+            throw new Error(`Unsupported export format '${format}'.`);
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Creates a data source that loads table pages from an OData v4 entity set.
+ * @brief Maps the table's filters, search, sorters and pagination onto $filter, $search, $orderby, $top, $skip and $count.
+ * @param {string} url The entity set URL, e.g. `/odata/People`. It may already carry query options such as `$format=json`.
+ * @param {Object} [options] Adapter options.
+ * @param {Object} [options.headers] Extra request headers sent with every request.
+ * @param {Object} [options.fetchOptions] Extra options passed to `fetch` (credentials, mode, ...).
+ * @param {boolean} [options.followNextLink] Follows `@odata.nextLink` until the requested page is filled. Defaults to true.
+ * @param {Function} [options.mapNextLink] Rewrites a next link before it is requested. Defaults to moving links that point
+ *        to another origin onto the origin and path of `url`, so services behind a proxy keep being requested through it.
+ * @param {boolean} [options.regex] Sends regex filters as `matchesPattern`, which only OData 4.01 services support.
+ *        Defaults to false: regex filters are then left out of `$filter`.
+ * @param {string} [options.search] How the table's search box is sent. 'filter' (default) adds, for every search term, an
+ *        `or` of `contains(tolower(property),'term')` over the searchable text columns to `$filter`, so every term must
+ *        match some column as it does client-side. '$search' sends the query as `$search`, for services that implement it.
+ * @returns {Function} A `fetchData` function for the `dataSource` option of `createDynamicTable`.
+ */
+export function createODataSource(url, options = {}) {
+    const settings = {
+        headers: {},
+        fetchOptions: {},
+        followNextLink: true,
+        mapNextLink: null,
+        regex: false,
+        search: 'filter',
+        ...options,
+    };
+
+    /**
+     * @brief Escapes a value for use inside an OData string literal.
+     * @param {*} value The raw value.
+     * @returns {string} The value with single quotes doubled.
+     */
+    const escapeString = (value) => String(value).replace(/'/g, "''");
+
+    /**
+     * @brief Resolves the OData property path of a table column.
+     * @param {string} columnId The table column id.
+     * @param {Object} [column] The table column definition.
+     * @returns {string|null} A path such as 'HomeAddress/City/Name', or null for computed and array-indexed columns.
+     */
+    const toPropertyPath = (columnId, column) => {
+        if (typeof column?.accessor === 'function') return null;
+        const segments = String(column?.accessor ?? columnId).replace(/\[(\w+)\]/g, '.$1').split('.');
+        return segments.some(segment => /^\d+$/.test(segment)) ? null : segments.join('/');
+    };
+
+    /**
+     * @brief Builds a single $filter clause for one column.
+     * @param {string} property The OData property path being filtered.
+     * @param {Object|string} filter The table's `{ type, operator, value, valueTo }` filter, or a plain value.
+     * @param {Object} [column] The table column definition, used to type plain values.
+     * @returns {string|null} The clause, or null when the filter cannot be expressed.
+     */
+    const buildClause = (property, filter, column) => {
+        const { type = column?.dataType === 'number' ? 'number' : 'text', operator, value, valueTo } =
+            filter !== null && typeof filter === 'object' ? filter : { value: filter };
+        const text = String(value ?? '').trim();
+        const textTo = String(valueTo ?? '').trim();
+        if (!text && !textTo) return null;
+
+        if (type === 'number' || type === 'date') {
+            // Number and date literals are unquoted in OData; reject anything that could break out of the expression.
+            const isLiteral = (literal) => (type === 'number' ? /^-?\d+(\.\d+)?$/ : /^[\d:.TZ+-]+$/).test(literal);
+            const comparisons = {
+                eq: [['eq', text]], lt: [['lt', text]], gt: [['gt', text]], before: [['lt', text]], after: [['gt', text]],
+                between: [['ge', text], ['le', textTo]], range: [['ge', text], ['le', textTo]],
+            }[operator ?? (type === 'number' ? 'eq' : 'after')] ?? [];
+            const parts = comparisons.filter(([, literal]) => literal && isLiteral(literal)).map(([op, literal]) => `${property} ${op} ${literal}`);
+            return parts.length > 0 ? parts.join(' and ') : null;
+        }
+
+        if (type === 'boolean') return `${property} eq ${text === 'true'}`;
+        if (type === 'enum') return `${property} eq '${escapeString(text)}'`;
+
+        const needle = `'${escapeString(text.toLowerCase())}'`;
+        switch (operator) {
+            case 'equals': return `tolower(${property}) eq ${needle}`;
+            case 'startsWith': return `startswith(tolower(${property}),${needle})`;
+            case 'regex': return settings.regex ? `matchesPattern(${property},'${escapeString(text)}')` : null;
+            default: return `contains(tolower(${property}),${needle})`;
+        }
+    };
+
+    /**
+     * @brief Builds the $filter clauses of a search query.
+     * @param {string} search The search text, e.g. `ann "new york"`.
+     * @param {Array} columns The searchable table column definitions.
+     * @returns {string[]} One parenthesized `or` of `contains` calls per term. Only text columns are searched, since
+     * `contains` does not apply to numbers, dates or booleans.
+     */
+    const buildSearchClauses = (search, columns) => {
+        const properties = columns
+            .filter(column => !column.dataType || column.dataType === 'string')
+            .map(column => toPropertyPath(column.id, column))
+            .filter(Boolean);
+        if (properties.length === 0) return [];
+        return [...String(search ?? '').matchAll(/"([^"]*)"|(\S+)/g)]
+            .map(([, phrase, word]) => (phrase ?? word).trim().toLowerCase())
+            .filter(Boolean)
+            .map(term => `(${properties.map(property => `contains(tolower(${property}),'${escapeString(term)}')`).join(' or ')})`);
+    };
+
+    /**
+     * @brief Builds the query string for a table request.
+     * @param {Object} params The parameters passed to `fetchData` by the table.
+     * @returns {string} The encoded query options, without a leading separator.
+     */
+    const buildQuery = ({ page, pageSize, filters, search, searchColumns, sorters, sorter, columns = [] }) => {
+        const query = ['$count=true'];
+
+        const clauses = Object.entries(filters || {})
+            .map(([columnId, filter]) => {
+                const column = columns.find(c => c.id === columnId);
+                const property = toPropertyPath(columnId, column);
+                return property && buildClause(property, filter, column);
+            })
+            .filter(Boolean);
+        const searchText = String(search ?? '').trim();
+        if (settings.search === 'filter' && searchText) {
+            const searchable = searchColumns ? columns.filter(c => searchColumns.includes(c.id)) : columns.filter(c => c.searchable !== false);
+            clauses.push(...buildSearchClauses(searchText, searchable));
+        }
+        if (clauses.length > 0) query.push(`$filter=${encodeURIComponent(clauses.join(' and '))}`);
+        if (settings.search === '$search' && searchText) query.push(`$search=${encodeURIComponent(searchText)}`);
+
+        const orderBy = (sorters ?? (sorter ? [sorter] : []))
+            .map(({ column, order }) => [toPropertyPath(column, columns.find(c => c.id === column)), order])
+            .filter(([property]) => property)
+            .map(([property, order]) => `${property} ${order === 'desc' ? 'desc' : 'asc'}`)
+            .join(',');
+        if (orderBy) query.push(`$orderby=${encodeURIComponent(orderBy)}`);
+
+        if (pageSize) {
+            query.push(`$top=${pageSize}`);
+            if (page > 1) query.push(`$skip=${(page - 1) * pageSize}`);
+        }
+        return query.join('&');
+    };
+
+    /**
+     * @brief Moves a next link that points to another origin onto the origin and path of `url`.
+     * @param {string} link The `@odata.nextLink` value.
+     * @returns {string} The link to request.
+     * @description Services behind a proxy (such as the `/odata` proxy of the test server) return their own absolute URLs,
+     * which the browser cannot request across origins. The path after the entity set and the query string are kept.
+     */
+    const rebaseNextLink = (link) => {
+        let base;
+        let next;
+        try {
+            base = new URL(url, globalThis.location?.href);
+            next = new URL(link, base);
+        } catch {
+            return link;
+        }
+        if (next.origin === base.origin) return next.href;
+        const entitySet = base.pathname.split('/').filter(Boolean).pop() ?? '';
+        const index = next.pathname.lastIndexOf(`/${entitySet}`);
+        const rest = index >= 0 ? next.pathname.slice(index + entitySet.length + 1) : '';
+        return `${base.origin}${base.pathname}${rest}${next.search}`;
+    };
+
+    /**
+     * @brief Requests one OData response and parses it as JSON.
+     * @param {string} requestUrl The absolute or relative URL to request.
+     * @param {AbortSignal} signal The table's abort signal for this request.
+     * @returns {Promise<Object>} The parsed response body.
+     */
+    const request = async (requestUrl, signal) => {
+        const response = await fetch(requestUrl, {
+            ...settings.fetchOptions,
+            signal,
+            headers: { Accept: 'application/json', ...settings.headers },
+        });
+        if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+        return response.json();
+    };
+
+    return async (params) => {
+        const { page, pageSize, signal } = params;
+        const separator = url.includes('?') ? '&' : '?';
+        let body = await request(`${url}${separator}${buildQuery(params)}`, signal);
+
+        const data = [...(body.value || [])];
+        const count = Number(body['@odata.count']);
+        // Servers may cap their page size below $top; keep following next links until the page is full.
+        while (settings.followNextLink && body['@odata.nextLink'] && (!pageSize || data.length < pageSize)) {
+            body = await request((settings.mapNextLink ?? rebaseNextLink)(body['@odata.nextLink']), signal);
+            data.push(...(body.value || []));
+        }
+
+        const rows = pageSize ? data.slice(0, pageSize) : data;
+        const hasMore = Boolean(body['@odata.nextLink']) || data.length > rows.length;
+        const totalCount = Number.isFinite(count)
+            ? count
+            : (page - 1) * (pageSize || 0) + rows.length + (hasMore ? pageSize : 0);
+        return { data: rows, totalCount };
+    };
+}
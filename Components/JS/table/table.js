@@ -1,12 +1,103 @@
+import { createExportBlob } from './export.js';
+import { html, renderHTML, safeUrl } from './template.js';
+import { toNumber } from './values.js';
+
 /**
  * Creates a dynamic, interactive data table within a specified container.
  * @brief Initializes a feature-rich table with support for sorting, filtering, pagination, row selection, and column resizing.
  * @param {string} containerId The ID of the HTML element where the table will be rendered.
  * @param {Object} config The configuration object for the table.
  * @param {Array} config.data The array of data objects to display.
- * @param {Array} config.columns An array of column definition objects.
- * @param {string} [config.keyField] The unique identifier property in your data. Required for row selection.
- * @returns {Object} An API to interact with the table instance (refresh, updateData, getState).
+ * @param {Array} config.columns An array of column definition objects. A column may declare `filter` (a type name or
+ *        `{ type, operators, options }`) to choose its filter type, and `filterFn(value, filter, row)` to match rows itself.
+ *        `dataType` ('number', 'currency', 'date', 'boolean' or text) drives sorting; `sortFn(a, b, rowA, rowB)` overrides it.
+ *        `accessor` reads the value from a path ('AddressInfo.0.City.Name') or a `(row) => value` function instead of `row[id]`;
+ *        an `id` may itself be a path. Array values are shown joined, or as a count badge with `arrayDisplay: 'count'`.
+ *        `editable: true` makes cells editable on double-click or Enter, with `editor` ('text', 'number', 'select',
+ *        'checkbox', 'date' or `{ type, options }`) and an optional `validate(value, row)` returning true or an error message.
+ *        `exportable: false` leaves a column out of exports, and `exportValue` ('raw', 'formatted' or a function) sets what is exported.
+ *        `hidden: true` hides a column initially, `hideable: false` keeps it visible, and `pinned` ('left' or 'right') freezes it
+ *        while the table scrolls horizontally. `width` (pixels or a CSS length) sets the initial width, and `minWidth`/`maxWidth`
+ *        (pixels, default 50 and unlimited) bound resizing. `headerClass(col)` and `cellClass(value, row, col)` (or plain class
+ *        strings) add classes to the column's header and cells. `searchable: false` leaves a column out of the global search.
+ *        `aggregate` ('sum', 'avg', 'min', 'max', 'count' or a `(values, rows) => result` function) summarizes the column in
+ *        group footers and in a table footer row. `format` ('number', 'currency', 'percent', 'date', 'datetime', 'time',
+ *        'relative' or `{ type, ...Intl options }`, e.g. `{ type: 'currency', currency: 'EUR' }`) formats values for `lang`;
+ *        search, text filters, copying and exports use the formatted text, while sorting and number or date filters use the
+ *        raw value. `render` is a `(row, value) => content` function or a built-in renderer: 'link', 'badge' (or 'tag'),
+ *        'boolean', 'progress', 'date', 'currency', 'email', 'image' or 'list', optionally as `{ type, ...options }` (e.g.
+ *        `{ type: 'link', href: (value, row) => url, target }`, `{ type: 'badge', colors: { Active: 'green' } }`,
+ *        `{ type: 'progress', max }`, `{ type: 'image', fallback }` or `{ type: 'list', item: 'email' }`). Content is escaped:
+ *        a function may return text, a DOM node or an `html` template result (from template.js), and markup must be wrapped in
+ *        `unsafeHTML` to be inserted as it is.
+ * @param {string} [config.keyField] The unique identifier property in your data. Required for row selection and editing.
+ * @param {boolean|string} [config.selectable] Row selection mode: 'none', 'single' or 'multi' (true is 'multi'). In multi mode,
+ *        shift-click selects a range, and ticking the page checkbox offers to select every row matching the filters.
+ * @param {boolean} [config.clipboard] Cell range selection (drag or shift+arrow keys) and clipboard support. Ctrl+C copies the
+ *        range, or the selected rows, as tab-separated text and an HTML table; pasting a block onto editable cells fills them
+ *        from the top-left cell of the range, down and to the right. Defaults to false, as dragging across cells then selects
+ *        cells instead of their text.
+ * @param {boolean} [config.resizable] Lets users resize columns by dragging (mouse, touch or pen) or with Alt+ArrowLeft/ArrowRight
+ *        on a header; double-clicking a resize handle fits the column to its rendered content.
+ * @param {string} [config.tableLayout] 'auto' (default) or 'fixed'. With 'fixed', columns keep their pixel widths and resizing
+ *        one column changes the table width instead of the other columns.
+ * @param {boolean} [config.columnMenu] Shows a "Columns" menu for toggling column visibility.
+ * @param {boolean|Object} [config.search] A toolbar search box matching rows across all searchable columns (or the ids in
+ *        `columns`). Every term must match some column; `"quoted phrases"` match as a whole. Matches are highlighted, column
+ *        filters still apply, and server-side the query is passed to `fetchData` as `search`. `debounceMs` defaults to 300.
+ * @param {boolean} [config.reorderable] Lets users reorder columns by dragging their headers.
+ * @param {Function} [config.renderDetail] Adds an expander column; expanding a row calls `renderDetail(row, element)` to fill a
+ *        full-width detail row below it. The hook may return text (escaped like cell content; wrap trusted markup in
+ *        `unsafeHTML`), an `html` template result, a Node, or a Promise of one of these, or render into `element`
+ *        itself (its `id` can be passed to another `createDynamicTable` for a child table). It may also return (or resolve
+ *        to) a cleanup function, called when the detail row is collapsed, re-rendered or removed, e.g. to destroy a child
+ *        table. The hook only runs again when the row's data changed. Requires `keyField`; expanded rows
+ *        stay expanded across paging and sorting. With virtualization, use `rowHeight: 'auto'` so detail rows are measured.
+ * @param {string|Array} [config.groupBy] Column id(s) to group client-side rows by, outermost first. Each group gets a collapsible
+ *        header showing its row count and, when a column declares `aggregate`, a footer row with the group's aggregates.
+ * @param {Object} [config.grouping] Grouping options. `paginate` is 'rows' (default: pages hold `pageSize` rows) or 'groups'
+ *        (pages hold `pageSize` top-level groups), `collapsed` starts groups collapsed, and `footers: false` hides group footers.
+ * @param {string|Object} [config.theme] 'light' (default), 'dark' or 'auto' (follows `prefers-color-scheme`), or
+ *        `{ mode, variables }` where `variables` overrides theme tokens for this table only, e.g. `{ 'primary-color': '#c2185b' }`
+ *        for `--dt-primary-color`.
+ * @param {string} [config.density] Cell spacing: 'compact', 'normal' (default) or 'comfortable'.
+ * @param {boolean} [config.injectStyles] Set to false to skip the built-in stylesheet and style the table's classes yourself.
+ * @param {Function|string} [config.rowClass] `rowClass(row)` returns classes for a data row, e.g. to flag overdue records.
+ *        `cellClass(value, row, col)` and `headerClass(col)` do the same for every cell and header, next to the column options.
+ * @param {string} [config.lang] The BCP 47 language tag used for `Intl` formatting, plural rules and text collation.
+ *        Defaults to the nearest `lang` attribute, then the browser's language.
+ * @param {string} [config.dir] 'ltr', 'rtl' or 'auto' (default: the container's direction). RTL mirrors the layout, pinned
+ *        columns, resizing, arrow-key navigation and pagination.
+ * @param {Object} [config.locale] The message catalog, merged over the English defaults (see `settings.locale`). `{name}`
+ *        placeholders are filled in, with numbers formatted for `lang`, and a message may be an object of plural forms chosen
+ *        by `{count}`, e.g. `{ one: '{count} matching row', other: '{count} matching rows' }`.
+ * @param {boolean} [config.serverSide] When true, rows are loaded page by page through `config.dataSource` instead of `config.data`.
+ * @param {Function|Object} [config.dataSource] A `fetchData({ page, pageSize, filters, sorters, sorter, search, searchColumns, columns, signal })`
+ *        function, or an object exposing one. `searchColumns` holds the ids of the columns the search box looks at.
+ *        It must resolve to `{ data, totalCount }`. Required when `serverSide` is true.
+ * @param {Object} [config.sorting] Sorting options. `multiple` is 'shift' (shift-click adds a column to the sort), 'always' or false.
+ *        `nulls` ('first' or 'last') places empty values regardless of direction, and `collation` holds the `Intl.Collator`
+ *        `locale` (defaulting to `lang`) and options (e.g. `sensitivity: 'base'` to ignore accents and case) used for text.
+ * @param {Object} [config.virtualization] Virtual scrolling. When `enabled`, only the rows visible in a scroll area of
+ *        `height` (plus `buffer` rows above and below) are rendered. `rowHeight` is a fixed pixel height or 'auto' to measure rows.
+ *        Grouped pages are virtualized too; with a fixed `rowHeight`, group headers and footers are laid out at that height.
+ * @param {string|Object} [config.persistence] Saves filters, sorters, page, column widths, order and visibility,
+ *        and selection and restores them on load (the 'url' storage keeps only sorters, page, filters and search).
+ *        'local' (or `{ storage: 'local', key }`) uses localStorage; 'url' (with an optional `prefix` for the parameter names)
+ *        writes `?sort=Age:desc&page=3&f.Gender=Male&q=russell`; a `{ load(key), save(key, state) }` object is a custom adapter,
+ *        whose `load` may return a Promise (the key defaults to 'dynamic-table-<containerId>', or pass `key` on the object).
+ * @param {Function} [config.onSortChange] Config callbacks named `on` + event name (onSortChange, onBeforePageChange, onRowClick, ...)
+ *        are called like handlers registered with `on()`. Events: sortChange, filterChange, searchChange, pageChange,
+ *        selectionChange, rowClick, rowDoubleClick, cellClick, columnResize, columnMove, columnVisibilityChange, groupToggle,
+ *        detailToggle, cellEdit, paste, beforeRender, afterRender and destroy. The cancelable beforeSortChange,
+ *        beforeFilterChange, beforeSearchChange, beforePageChange, beforeSelectionChange and beforeCellEdit events are vetoed
+ *        by returning false or calling `event.preventDefault()`.
+ * @returns {Object} An API to interact with the table instance (refresh, updateData, getState, setSearch, and the keyed row methods
+ *          addRow, updateRow, upsertRow, removeRow and getRow, getChanges, commitChanges and revertChanges for edits,
+ *          on/off for events, setState/resetState, getSelected, setSelected and clearSelection, and export for CSV, TSV,
+ *          JSON and XLSX downloads, getColumns, setColumnVisibility and moveColumn for the column layout, setGroupBy,
+ *          expandAllGroups and collapseAllGroups for row grouping, expandRow, collapseRow, expandAllRows and
+ *          collapseAllRows for detail rows, and setColumns, setOptions and destroy for the instance lifecycle).
  */
 export function createDynamicTable(containerId, config) {
     const container = document.getElementById(containerId);
@@ -22,58 +113,248 @@ export function createDynamicTable(containerId, config) {
         columns: [],
         keyField: null,
         serverSide: false,
+        dataSource: null,
         pagination: { enabled: false, pageSize: 10 },
         filtering: { enabled: false, debounceMs: 300 },
+        sorting: { multiple: 'shift', nulls: 'last', collation: { numeric: true } },
+        virtualization: { enabled: false, height: '400px', rowHeight: 40, buffer: 10 },
         selectable: false,
+        clipboard: false,
         resizable: false,
+        tableLayout: 'auto',
+        reorderable: false,
+        columnMenu: false,
+        search: { enabled: false, columns: null, debounceMs: 300 },
+        groupBy: [],
+        grouping: { paginate: 'rows', collapsed: false, footers: true },
+        renderDetail: null,
+        theme: { mode: 'light', variables: {} },
+        density: 'normal',
+        injectStyles: true,
+        rowClass: null,
+        cellClass: null,
+        headerClass: null,
         bordered: false,
         striped: false,
-        emptyMessage: "No data available",
+        emptyMessage: null,
         tableClass: "dynamic-table",
         logging: false,
+        persistence: null,
+        lang: container.closest('[lang]')?.lang || undefined,
+        dir: 'auto',
         locale: { prev: "Previous", next: "Next", showing: "Showing", of: "of" },
         ...config,
         pagination: { enabled: false, pageSize: 10, ...config.pagination },
         filtering: { enabled: false, debounceMs: 300, ...config.filtering },
-        locale: { prev: "Previous", next: "Next", showing: "Showing", of: "of", ...config.locale },
+        search: { enabled: false, columns: null, debounceMs: 300, ...(config.search === true ? { enabled: true } : config.search) },
+        virtualization: { enabled: false, height: '400px', rowHeight: 40, buffer: 10, ...config.virtualization },
+        groupBy: [].concat(config.groupBy ?? []),
+        theme: { mode: 'light', variables: {}, ...(typeof config.theme === 'string' ? { mode: config.theme } : config.theme) },
+        grouping: { paginate: 'rows', collapsed: false, footers: true, ...config.grouping },
+        sorting: {
+            multiple: 'shift',
+            nulls: 'last',
+            ...config.sorting,
+            collation: { numeric: true, ...config.sorting?.collation },
+        },
+        locale: {
+            prev: "Previous",
+            next: "Next",
+            showing: "Showing",
+            of: "of",
+            pageSummary: "{showing} {start}–{end} {of} {count}",
+            emptyMessage: "No data available",
+            emptyValue: "–",
+            pageSelected: "All {count} rows on this page are selected.",
+            selectAllMatching: "Select all {count} matching rows",
+            allMatchingSelected: "All {count} matching rows are selected.",
+            clearSelection: "Clear selection",
+            columns: "Columns",
+            searchPlaceholder: "Search...",
+            searchLabel: "Search all columns",
+            sortBy: "Sort by {column}",
+            resizeColumn: "Resize {column}",
+            pageAnnouncement: "Page {page} of {pages}",
+            resultsAnnouncement: { one: "{count} matching row", other: "{count} matching rows" },
+            groupCount: "({count})",
+            toggleGroup: "Toggle group {group}",
+            sum: "Sum",
+            avg: "Avg",
+            min: "Min",
+            max: "Max",
+            count: "Count",
+            toggleDetail: "Show details",
+            toggleAllDetails: "Show all details",
+            loadingDetail: "Loading...",
+            selectAllRows: "Select all rows",
+            selectRow: "Select row",
+            filterPlaceholder: "Filter...",
+            filterToPlaceholder: "To...",
+            filterLabel: "Filter {column}",
+            filterToLabel: "Filter {column} to",
+            filterOperatorLabel: "Filter operator for {column}",
+            filterAll: "All",
+            yes: "Yes",
+            no: "No",
+            contains: "Contains",
+            equals: "Equals",
+            startsWith: "Starts with",
+            regex: "Regex",
+            eq: "=",
+            lt: "<",
+            gt: ">",
+            between: "Between",
+            after: "After",
+            before: "Before",
+            range: "Range",
+            is: "Is",
+            editCell: "Edit {column}",
+            invalidValue: "Invalid value",
+            notANumber: "Not a number",
+            notADate: "Not a date",
+            notAnOption: "Not an allowed option",
+            ...config.locale,
+        },
     };
 
+    try {
+        Intl.getCanonicalLocales(settings.lang ?? []);
+    } catch {
+        console.error(`[DynamicTable] Invalid 'lang' '${settings.lang}', using the browser's language.`);
+        settings.lang = undefined;
+    }
+
+    let selectionMode = settings.selectable === true ? 'multi' : ['single', 'multi'].includes(settings.selectable) ? settings.selectable : 'none';
+    settings.selectable = selectionMode !== 'none';
+
     if (settings.selectable && !settings.keyField) {
         console.error(`[DynamicTable] 'keyField' must be configured when 'selectable' is true.`);
         container.innerHTML = `<p style="color: red;">Configuration Error: 'keyField' is missing.</p>`;
         return {};
     }
 
+    if (settings.columns.some(col => col.editable) && !settings.keyField) {
+        console.error(`[DynamicTable] 'keyField' must be configured when a column is editable.`);
+        container.innerHTML = `<p style="color: red;">Configuration Error: 'keyField' is missing.</p>`;
+        return {};
+    }
+
+    if (settings.renderDetail && !settings.keyField) {
+        console.error(`[DynamicTable] 'keyField' must be configured when 'renderDetail' is set.`);
+        container.innerHTML = `<p style="color: red;">Configuration Error: 'keyField' is missing.</p>`;
+        return {};
+    }
+    let hasDetails = typeof settings.renderDetail === 'function';
+
+    const fetchData = typeof settings.dataSource === 'function' ? settings.dataSource : settings.dataSource?.fetchData?.bind(settings.dataSource);
+    if (settings.serverSide && !fetchData) {
+        console.error(`[DynamicTable] 'dataSource' with a 'fetchData' function must be configured when 'serverSide' is true.`);
+        container.innerHTML = `<p style="color: red;">Configuration Error: 'dataSource' is missing.</p>`;
+        return {};
+    }
+
+    if (settings.serverSide && settings.groupBy.length > 0) {
+        console.error(`[DynamicTable] 'groupBy' is only supported for client-side data and is ignored.`);
+        settings.groupBy = [];
+    }
+
     const state = {
         data: [],
         totalCount: 0,
         totalPages: 1,
         currentPage: 1,
         filters: {},
-        sorter: null,
+        sorters: [],
+        search: '',
         selectedRows: new Set(),
         columnWidths: {},
+        columnOrder: settings.columns.map(col => col.id),
+        hiddenColumns: settings.columns.filter(col => col.hidden).map(col => col.id),
+        loading: false,
     };
+    const initialLayout = { columnOrder: [...state.columnOrder], hiddenColumns: [...state.hiddenColumns] };
 
-    const elements = { wrapper: null, table: null, thead: null, tbody: null, pagination: null };
+    const elements = { wrapper: null, search: null, columnMenu: null, selectionBanner: null, liveRegion: null, scrollContainer: null, table: null, thead: null, tbody: null, tfoot: null, pagination: null };
+    let pendingRequest = null;
+    const matchingRequests = new Set();
+    const virtual = { start: 0, end: 0, measuredHeights: new WeakMap(), measuredTotal: 0, measuredCount: 0 };
+    let renderedRows = new Map();
+    let renderedPagination = null;
+    let editing = null;
+    const pendingChanges = new Map();
+    const listeners = new Map();
+    let matchingRows = [];
+    let keyCheckedRows = null;
+    let searchHighlight = { query: null, pattern: null };
+    let pageItems = null;
+    let pageRowRange = null;
+    const toggledGroups = new Set();
+    let renderedGroupRows = new Map();
+    let renderedFooter = null;
+    const toggledDetails = new Set();
+    let detailsExpanded = false;
+    let renderedDetails = new Map();
+    let detailCount = 0;
+    const intlFormats = new Map();
+    const slotNodes = new Map();
+    const nodeIds = new WeakMap();
+    let nodeCount = 0;
+    let isRtl = false;
+    let selectionAnchor = null;
+    let cellRange = null;
+    const activeCell = { row: -1, col: 0 };
+    let announced = null;
+    const selectedRowCache = new Map();
+    let persistenceReady = false;
+    // Aborting the controller removes every DOM listener of the current mount.
+    let lifecycle = new AbortController();
+    const debouncedHandlers = new Set();
+    let scrollFrame = null;
+    let destroyed = false;
+    const styleId = `dynamic-table-styles-${containerId}`;
     const logger = {
         log: (...args) => settings.logging && console.log(`[DynamicTable:${containerId}]`, ...args),
     };
 
     // --- Core Logic ---
 
+    /**
+     * @brief Notifies the config callback and the subscribed handlers of an event.
+     * @param {string} event The event name, e.g. 'sortChange'.
+     * @param {Object} [detail] The event payload.
+     * @returns {boolean} False if a handler canceled the event (by returning false or calling `preventDefault()`).
+     * @description Handler errors are logged and do not stop the other handlers or the table.
+     */
+    const emit = (event, detail = {}) => {
+        let canceled = false;
+        const payload = { ...detail, type: event, preventDefault: () => { canceled = true; } };
+        const callback = settings[`on${event[0].toUpperCase()}${event.slice(1)}`];
+        [callback, ...(listeners.get(event) ?? [])].forEach(handler => {
+            if (typeof handler !== 'function') return;
+            try {
+                if (handler(payload) === false) canceled = true;
+            } catch (error) {
+                console.error(`[DynamicTable] Error in '${event}' handler.`, error);
+            }
+        });
+        return !canceled;
+    };
+
     /**
      * @brief Debounces a function to limit how often it is called.
      * @param {Function} func The function to debounce.
      * @param {number} delay The debounce delay in milliseconds.
-     * @returns {Function} A debounced version of the input function.
+     * @returns {Function} A debounced version of the input function, with a `cancel()` method. `destroy()` cancels pending calls.
      */
     const debounce = (func, delay) => {
         let timeout;
-        return (...args) => {
+        const debounced = (...args) => {
             clearTimeout(timeout);
             timeout = setTimeout(() => func.apply(this, args), delay);
         };
+        debounced.cancel = () => clearTimeout(timeout);
+        debouncedHandlers.add(debounced);
+        return debounced;
     };
 
     /**
@@ -84,360 +365,3812 @@ export function createDynamicTable(containerId, config) {
     const sanitize = (str) => {
         const temp = document.createElement('div');
         temp.textContent = String(str ?? '');
-        return temp.innerHTML;
+        return temp.innerHTML.replace(/"/g, '&quot;');
     };
 
     /**
-     * @brief Processes client-side data with filtering, sorting, and pagination.
-     * @description Applies filters and sorting to the data, calculates pagination, and updates the state with the visible data subset.
+     * @brief Fills the `{name}` placeholders of a locale string.
+     * @param {string} text The locale string, e.g. 'Page {page} of {pages}'.
+     * @param {Object} values The placeholder values by name.
+     * @returns {string} The text with known placeholders replaced. The result is not escaped.
      */
-    const processClientData = () => {
-        let processedData = [...settings.data];
-        const filterEntries = Object.entries(state.filters).filter(([, value]) => value);
+    const formatText = (text, values) => String(text).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
 
-        if (filterEntries.length > 0) {
-            processedData = processedData.filter(item =>
-                filterEntries.every(([column, value]) =>
-                    (item[column] ?? '').toString().toLowerCase().includes(value.toString().toLowerCase())
-                )
-            );
+    /**
+     * @brief Gets a cached `Intl` formatter for the table's `lang`.
+     * @param {Function} Format An `Intl` constructor, e.g. `Intl.NumberFormat`.
+     * @param {Object} [options] The formatter options.
+     * @returns {Object|null} The formatter, or null if the options are invalid (e.g. an unknown currency code).
+     */
+    const getIntl = (Format, options = {}) => {
+        const key = `${Format.name}|${settings.lang}|${JSON.stringify(options)}`;
+        if (!intlFormats.has(key)) {
+            try {
+                intlFormats.set(key, new Format(settings.lang, options));
+            } catch (error) {
+                console.error(`[DynamicTable] Invalid ${Format.name} options.`, options, error);
+                intlFormats.set(key, null);
+            }
         }
+        return intlFormats.get(key);
+    };
 
-        if (state.sorter) {
-            const { column, order } = state.sorter;
-            const columnConfig = settings.columns.find(c => c.id === column);
-            const isNumeric = columnConfig?.dataType === 'number';
-
-            processedData.sort((a, b) => {
-                const valA = a[column];
-                const valB = b[column];
-
-                if (isNumeric) {
-                    const numA = parseFloat(valA);
-                    const numB = parseFloat(valB);
-                    if (!isNaN(numA) && !isNaN(numB)) {
-                        return order === 'asc' ? numA - numB : numB - numA;
-                    }
-                }
-                const comparison = String(valA ?? '').localeCompare(String(valB ?? ''), undefined, { numeric: true });
-                return order === 'asc' ? comparison : -comparison;
-            });
+    /**
+     * @brief Looks up a message in `settings.locale` and fills its placeholders.
+     * @param {string} key The message key, e.g. 'pageSummary'.
+     * @param {Object} [values] The placeholder values by name. Numbers are formatted for `lang`.
+     * @returns {string} The message, not escaped. A message may be an object of plural forms (`{ one, other }`, or any
+     * `Intl.PluralRules` category), chosen by `values.count`.
+     */
+    const translate = (key, values = {}) => {
+        let message = settings.locale[key] ?? key;
+        if (message !== null && typeof message === 'object') {
+            const category = typeof values.count === 'number' ? getIntl(Intl.PluralRules)?.select(values.count) : 'other';
+            message = message[category] ?? message.other ?? '';
         }
-
-        state.totalCount = processedData.length;
-        state.totalPages = settings.pagination.enabled ? Math.ceil(state.totalCount / settings.pagination.pageSize) : 1;
-        state.currentPage = Math.max(1, Math.min(state.currentPage, state.totalPages));
-
-        const start = (state.currentPage - 1) * settings.pagination.pageSize;
-        state.data = settings.pagination.enabled ? processedData.slice(start, start + settings.pagination.pageSize) : processedData;
+        const numberFormat = getIntl(Intl.NumberFormat);
+        return formatText(message, Object.fromEntries(Object.entries(values).map(([name, value]) =>
+            [name, typeof value === 'number' && numberFormat ? numberFormat.format(value) : value]
+        )));
     };
 
-    // --- DOM Rendering ---
+    /**
+     * @brief Resolves a class hook such as `rowClass` or a column's `cellClass`.
+     * @param {Function|string|Array} hook A function returning classes, or the classes themselves.
+     * @param {...*} args The arguments passed to a function hook.
+     * @returns {string} A space-separated class list, sanitized for use in an attribute; '' if the hook fails.
+     */
+    const resolveClass = (hook, ...args) => {
+        let classes = hook;
+        if (typeof hook === 'function') {
+            try {
+                classes = hook(...args);
+            } catch (error) {
+                console.error(`[DynamicTable] Error in a class hook.`, error);
+                return '';
+            }
+        }
+        return sanitize([].concat(classes ?? []).filter(Boolean).join(' ').trim());
+    };
 
     /**
-     * @brief Renders the table header with column titles, sorting icons, and optional filters.
-     * @returns {string} HTML string for the table header.
+     * @brief Reads a nested value by a dotted or bracketed path.
+     * @param {Object} obj The object to read from.
+     * @param {string} path A path such as 'AddressInfo.0.City.Name' or 'AddressInfo[0].City.Name'.
+     * @returns {*} The value at the path, or undefined if any segment is missing.
      */
-    const renderHeader = () => {
-        const selectHeader = settings.selectable ? `<th><input type="checkbox" data-select-all aria-label="Select all rows"></th>` : '';
-        const headerCells = settings.columns.map(col => {
-            const sortIcon = col.filterableAndSortable ? `<span class="${settings.tableClass}-sort-icon" data-sort-column="${col.id}"></span>` : '';
-            const resizer = settings.resizable ? `<span class="${settings.tableClass}-resize-handle"></span>` : '';
-            const style = state.columnWidths[col.id] ? `width: ${state.columnWidths[col.id]};` : '';
-            return `<th style="${style}" data-column-id="${col.id}">
-                <div class="${settings.tableClass}-header-content">
-                    <span>${sanitize(col.caption || col.id)}</span>
-                    ${sortIcon}
-                </div>
-                ${resizer}
-            </th>`;
-        }).join('');
+    const getPath = (obj, path) => String(path).replace(/\[(\w+)\]/g, '.$1').split('.').reduce((value, key) => value?.[key], obj);
 
-        const selectFilter = settings.filtering.enabled && settings.selectable ? '<th></th>' : '';
-        const filterCells = settings.filtering.enabled ? settings.columns.map(col => {
-            const input = col.filterableAndSortable ? `<input type="search" placeholder="Filter..." data-filter-column="${col.id}"/>` : '';
-            return `<th>${input}</th>`;
-        }).join('') : '';
-        const filterRow = settings.filtering.enabled ? `<tr class="${settings.tableClass}-filter-row">${selectFilter}${filterCells}</tr>` : '';
+    /**
+     * @brief Gets the value a column shows for a row.
+     * @param {Object} row The data row.
+     * @param {Object} col The column definition.
+     * @returns {*} The accessed value, used for rendering, filtering and sorting.
+     */
+    const getCellValue = (row, col) => {
+        if (typeof col.accessor === 'function') return col.accessor(row);
+        const path = col.accessor ?? col.id;
+        return path in row ? row[path] : getPath(row, path);
+    };
 
-        return `<thead><tr>${selectHeader}${headerCells}</tr>${filterRow}</thead>`;
+    /**
+     * @brief Writes a nested value by path without mutating the original row.
+     * @param {Object} obj The object to copy.
+     * @param {string} path A dotted or bracketed path.
+     * @param {*} value The value to write.
+     * @returns {Object} A copy of the object with the containers along the path copied as well.
+     */
+    const setPath = (obj, path, value) => {
+        const [key, ...rest] = String(path).replace(/\[(\w+)\]/g, '.$1').split('.');
+        const copy = Array.isArray(obj) ? [...obj] : { ...obj };
+        copy[key] = rest.length > 0 ? setPath(obj?.[key] ?? {}, rest.join('.'), value) : value;
+        return copy;
     };
 
     /**
-     * @brief Renders the table body with data rows, supporting selection and custom rendering.
-     * @returns {string} HTML string for the table body.
+     * @brief Flattens array and object values into the text (or count) that is displayed, filtered and sorted.
+     * @param {Object|null} col The column definition, used for `arrayDisplay`.
+     * @param {*} value The accessed cell value.
+     * @returns {*} A joined string, an array length, or the value itself when it is already a primitive.
      */
-    const renderBody = () => {
-        if (state.data.length === 0) {
-            const colSpan = settings.columns.length + (settings.selectable ? 1 : 0);
-            return `<tr><td colspan="${colSpan}" class="${settings.tableClass}-empty">${settings.emptyMessage}</td></tr>`;
-        }
-        return state.data.map(row => {
-            const rowId = row[settings.keyField];
-            const isSelected = state.selectedRows.has(rowId);
-            const selectCell = settings.selectable ? `<td><input type="checkbox" data-row-id="${sanitize(rowId)}" ${isSelected ? 'checked' : ''}></td>` : '';
-            const cells = settings.columns.map(col => {
-                const value = row[col.id];
-                let content;
-                if (col.isImage && value) {
-                    content = `<img class="${settings.tableClass}-cell-image" src="${sanitize(value)}" alt="${sanitize(col.caption || '')}" />`;
-                } else if (col.render) {
-                    content = col.render(row);
-                } else {
-                    content = sanitize(value ?? '–');
-                }
-                return `<td>${content}</td>`;
-            }).join('');
-            return `<tr data-row-key="${sanitize(rowId)}" class="${isSelected ? 'selected' : ''}">${selectCell}${cells}</tr>`;
-        }).join('');
+    const toPlainValue = (col, value) => {
+        if (Array.isArray(value) && col?.arrayDisplay === 'count') return value.length;
+        if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+        const items = Array.isArray(value) ? value : Object.values(value);
+        return items.map(item => toPlainValue(null, item)).filter(item => item != null && item !== '').join(', ');
     };
 
     /**
-     * @brief Renders the pagination controls and information.
-     * @returns {string} HTML string for the pagination section.
+     * @brief Converts a cell value into the text shown for it, applying the column's `format`.
+     * @param {Object|null} col The column definition. `format` is 'number', 'currency', 'percent', 'date', 'datetime',
+     * 'time' or 'relative', or `{ type, ...options }` with `Intl` formatter options such as `{ type: 'currency', currency: 'EUR' }`.
+     * @param {*} value The accessed cell value.
+     * @returns {*} The formatted text, or the plain value when the column has no format or the value cannot be parsed.
+     * @description Displayed, searched, text-filtered, copied and exported values all go through here, so users find and
+     * export what they see. Sorting and number or date filters keep using the raw value.
      */
-    const renderPagination = () => {
-        if (!settings.pagination.enabled || state.totalPages <= 1) return '';
-        const { prev, next, showing, of } = settings.locale;
-        const startRow = state.totalCount > 0 ? (state.currentPage - 1) * settings.pagination.pageSize + 1 : 0;
-        const endRow = Math.min(state.currentPage * settings.pagination.pageSize, state.totalCount);
+    const formatValue = (col, value) => {
+        const plain = toPlainValue(col, value);
+        const { type, ...options } = typeof col?.format === 'string' ? { type: col.format } : col?.format ?? {};
+        if (!type || plain == null || plain === '') return plain;
 
-        let pageButtons = '';
-        const pages = new Set([1, state.totalPages, state.currentPage, state.currentPage - 1, state.currentPage + 1]);
-        const sortedPages = Array.from(pages).filter(p => p > 0 && p <= state.totalPages).sort((a, b) => a - b);
-        let lastPage = 0;
-        for (const p of sortedPages) {
-            if (p > lastPage + 1) pageButtons += `<span>...</span>`;
-            pageButtons += `<button data-page="${p}" ${p === state.currentPage ? 'class="active"' : ''}>${p}</button>`;
-            lastPage = p;
+        if (type === 'number' || type === 'currency' || type === 'percent') {
+            const number = toNumber(plain);
+            const style = type === 'number' ? 'decimal' : type;
+            const formatter = getIntl(Intl.NumberFormat, { style, ...(type === 'currency' ? { currency: 'USD' } : {}), ...options });
+            return isNaN(number) || !formatter ? plain : formatter.format(number);
         }
 
-        return `
-            <span class="info">${showing} ${startRow}-${endRow} ${of} ${state.totalCount}</span>
-            <div class="controls">
-                <button data-page="prev" ${state.currentPage === 1 ? 'disabled' : ''}>${prev}</button>
-                ${pageButtons}
-                <button data-page="next" ${state.currentPage >= state.totalPages ? 'disabled' : ''}>${next}</button>
-            </div>`;
+        const time = toTime(plain);
+        if (isNaN(time)) return plain;
+        if (type === 'relative') {
+            const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+            const seconds = (time - Date.now()) / 1000;
+            const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) ?? units[units.length - 1];
+            return getIntl(Intl.RelativeTimeFormat, { numeric: 'auto', ...options })?.format(Math.round(seconds / size), unit) ?? plain;
+        }
+        const styles = { date: { dateStyle: 'medium' }, datetime: { dateStyle: 'medium', timeStyle: 'short' }, time: { timeStyle: 'short' } }[type];
+        if (!styles) return plain;
+        // Date-only strings parse as UTC midnight; formatting them in UTC keeps the calendar day.
+        const isDateOnly = typeof plain === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(plain.trim());
+        const hasFields = Object.keys(options).some(name => /^(weekday|era|year|month|day|hour|minute|second|timeZoneName)$/.test(name));
+        const formatter = getIntl(Intl.DateTimeFormat, { ...(hasFields ? {} : styles), ...(isDateOnly ? { timeZone: 'UTC' } : {}), ...options });
+        return formatter ? formatter.format(time) : plain;
     };
 
     /**
-     * @brief Updates the table content by re-rendering the body and pagination.
-     * @description Refreshes the table UI based on current state (data, filters, sorting, etc.).
+     * @brief Operators offered by each filter type, in display order, with the locale keys of their labels.
      */
-    const update = () => {
-        logger.log("Updating table content...");
-        if (elements.tbody) elements.tbody.innerHTML = renderBody();
-        if (elements.pagination) elements.pagination.innerHTML = renderPagination();
+    const filterOperators = {
+        text: { contains: 'contains', equals: 'equals', startsWith: 'startsWith', regex: 'regex' },
+        number: { eq: 'eq', lt: 'lt', gt: 'gt', between: 'between' },
+        date: { after: 'after', before: 'before', range: 'range' },
+        boolean: { eq: 'is' },
+        enum: { eq: 'is' },
+    };
 
-        elements.thead?.querySelectorAll(`.${settings.tableClass}-sort-icon`).forEach(icon => {
-            icon.classList.remove('sort-asc', 'sort-desc');
-        });
-        if (state.sorter) {
-            const icon = elements.thead?.querySelector(`[data-sort-column="${state.sorter.column}"]`);
-            if (icon) icon.classList.add(`sort-${state.sorter.order}`);
-        }
+    /**
+     * @brief Resolves the filter type and available operators of a column.
+     * @param {Object} col The column definition.
+     * @returns {Object} The column's filter config with `type` and `operators` filled in.
+     * @description Columns without an explicit `filter` derive their type from `dataType`, falling back to text.
+     */
+    const getFilterConfig = (col) => {
+        const filter = typeof col.filter === 'string' ? { type: col.filter } : { ...col.filter };
+        const defaultType = { number: 'number', currency: 'number', date: 'date', boolean: 'boolean' }[col.dataType] ?? 'text';
+        const type = filterOperators[filter.type] ? filter.type : defaultType;
+        const operators = Object.keys(filterOperators[type]).filter(op => !filter.operators || filter.operators.includes(op));
+        return { ...filter, type, operators: operators.length > 0 ? operators : Object.keys(filterOperators[type]) };
     };
 
-    // --- Event Handlers ---
+    /**
+     * @brief Converts a raw filter value into the `{ type, operator, value, valueTo }` model stored in `state.filters`.
+     * @param {Object} col The column definition.
+     * @param {string|Object} raw A plain value or a partial filter object.
+     * @returns {Object} The normalized filter.
+     */
+    const normalizeFilter = (col, raw) => {
+        const { type, operators } = getFilterConfig(col);
+        const filter = raw !== null && typeof raw === 'object' ? raw : { value: raw };
+        const operator = operators.includes(filter.operator) ? filter.operator : operators[0];
+        const isRange = operator === 'between' || operator === 'range';
+        return { type, operator, value: filter.value ?? '', valueTo: isRange ? filter.valueTo ?? '' : '' };
+    };
 
     /**
-     * @brief Attaches event listeners for sorting, pagination, selection, and column resizing.
-     * @description Handles user interactions like clicking sort icons, pagination buttons, checkboxes, and resize handles.
+     * @brief Checks whether a filter has a value to filter by.
+     * @param {Object} filter A normalized filter.
+     * @returns {boolean} True if the filter restricts the data.
      */
-    const attachEventListeners = () => {
-        elements.wrapper.addEventListener('click', async (e) => {
-            const target = e.target;
-            const sortIcon = target.closest(`[data-sort-column]`);
-            if (sortIcon) {
-                const columnId = sortIcon.dataset.sortColumn;
-                state.sorter = {
-                    column: columnId,
-                    order: state.sorter?.column === columnId && state.sorter.order === 'asc' ? 'desc' : 'asc'
-                };
-                state.currentPage = 1;
-                return refresh();
-            }
+    const isFilterActive = (filter) => filter != null && (String(filter.value ?? '') !== '' || String(filter.valueTo ?? '') !== '');
 
-            const pageButton = target.closest('[data-page]');
-            if (pageButton && !pageButton.disabled) {
-                let newPage = pageButton.dataset.page;
-                if (newPage === 'prev') newPage = state.currentPage - 1;
-                else if (newPage === 'next') newPage = state.currentPage + 1;
-                else newPage = parseInt(newPage, 10);
-                if (newPage !== state.currentPage) {
-                    state.currentPage = newPage;
-                    return refresh();
-                }
-            }
+    /**
+     * @brief Converts a date-like value into a timestamp.
+     * @param {*} value A Date, a timestamp or a parseable date string.
+     * @returns {number} The timestamp in milliseconds, or NaN.
+     */
+    const toTime = (value) => {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number') return value;
+        return value == null || value === '' ? NaN : Date.parse(value);
+    };
 
-            if (settings.selectable) {
-                if (target.closest('[data-select-all]')) handleSelectAll(target.checked);
-                if (target.closest('input[type="checkbox"][data-row-id]')) handleSelectRow(target.dataset.rowId, target.checked);
-            }
-        });
+    /**
+     * @brief Converts a boolean-like value ('true', 'yes', 1, ...) into a boolean.
+     * @param {*} value The value to convert.
+     * @returns {boolean} The boolean value.
+     */
+    const toBoolean = (value) => value === true || ['true', 'yes', '1'].includes(String(value ?? '').toLowerCase());
 
-        elements.wrapper.addEventListener('input', debounce(async (e) => {
-            if (e.target.matches('[data-filter-column]')) {
-                state.filters[e.target.dataset.filterColumn] = e.target.value;
-                state.currentPage = 1;
-                await refresh();
-            }
-        }, settings.filtering.debounceMs));
+    /**
+     * @brief Builds a predicate that checks a cell value against a filter.
+     * @param {Object} col The column definition.
+     * @param {Object} filter A normalized filter.
+     * @returns {Function} A `(value, row) => boolean` predicate taking the accessed cell value.
+     */
+    const createFilterTest = (col, filter) => {
+        if (typeof col.filterFn === 'function') return (value, row) => col.filterFn(value, filter, row);
+        const matches = createValueMatcher(col, filter);
+        return (value) => matches(filter.type === 'text' ? formatValue(col, value) : toPlainValue(col, value));
+    };
 
-        if (settings.resizable) {
-            let resizingState = {};
-            const onMouseMove = (e) => {
-                const newWidth = resizingState.startWidth + (e.pageX - resizingState.startX);
-                if (newWidth > 50) resizingState.th.style.width = `${newWidth}px`;
+    /**
+     * @brief Builds the built-in matcher of a filter type and operator.
+     * @param {Object} col The column definition.
+     * @param {Object} filter A normalized filter.
+     * @returns {Function} A `(value) => boolean` predicate taking a plain (flattened) value.
+     */
+    const createValueMatcher = (col, filter) => {
+        const { type, operator } = filter;
+
+        if (type === 'number') {
+            const from = parseFloat(filter.value);
+            const to = parseFloat(filter.valueTo);
+            const parse = col.dataType === 'currency' ? toNumber : parseFloat;
+            return (value) => {
+                const num = parse(value);
+                if (isNaN(num)) return false;
+                if (operator === 'between') return (isNaN(from) || num >= from) && (isNaN(to) || num <= to);
+                if (isNaN(from)) return true;
+                return operator === 'lt' ? num < from : operator === 'gt' ? num > from : num === from;
             };
-            const onMouseUp = () => {
-                state.columnWidths[resizingState.columnId] = resizingState.th.style.width;
-                document.removeEventListener('mousemove', onMouseMove);
+        }
+
+        if (type === 'date') {
+            // A date-only filter value (as produced by <input type="date">) covers the whole day.
+            const bounds = (text) => {
+                const time = toTime(text);
+                if (isNaN(time)) return null;
+                return [time, /^\d{4}-\d{2}-\d{2}$/.test(String(text).trim()) ? time + 86400000 : time + 1];
             };
-            elements.wrapper.addEventListener('mousedown', (e) => {
-                if (!e.target.matches(`.${settings.tableClass}-resize-handle`)) return;
-                e.preventDefault();
-                const th = e.target.closest('th');
-                resizingState = { th, columnId: th.dataset.columnId, startX: e.pageX, startWidth: th.offsetWidth };
-                document.addEventListener('mousemove', onMouseMove);
-                document.addEventListener('mouseup', onMouseUp, { once: true });
-            });
+            const from = bounds(filter.value);
+            const to = bounds(filter.valueTo);
+            return (value) => {
+                const time = toTime(value);
+                if (isNaN(time)) return false;
+                if (operator === 'before') return !from || time < from[0];
+                if (operator === 'after') return !from || time >= from[1];
+                return (!from || time >= from[0]) && (!to || time < to[1]);
+            };
+        }
+
+        if (type === 'boolean') {
+            const expected = filter.value === 'true';
+            return (value) => toBoolean(value) === expected;
+        }
+
+        if (type === 'enum') return (value) => String(value ?? '') === String(filter.value);
+
+        if (operator === 'regex') {
+            let pattern;
+            try {
+                pattern = new RegExp(filter.value, 'i');
+            } catch {
+                logger.log(`Ignoring invalid regex filter: ${filter.value}`);
+                return () => true;
+            }
+            return (value) => pattern.test(String(value ?? ''));
         }
+
+        const needle = String(filter.value).toLowerCase();
+        return (value) => {
+            const text = String(value ?? '').toLowerCase();
+            if (operator === 'equals') return text === needle;
+            if (operator === 'startsWith') return text.startsWith(needle);
+            return text.includes(needle);
+        };
     };
 
     /**
-     * @brief Handles the "Select All" checkbox interaction.
-     * @param {boolean} checked Whether the select-all checkbox is checked.
-     * @description Selects or deselects all rows on the current page.
+     * @brief Splits a search query into terms.
+     * @param {string} query The search text, e.g. `ann "new york"`.
+     * @returns {string[]} The lower-cased terms; quoted phrases are kept whole.
      */
-    const handleSelectAll = (checked) => {
-        if (checked) state.data.forEach(row => state.selectedRows.add(row[settings.keyField]));
-        else state.data.forEach(row => state.selectedRows.delete(row[settings.keyField]));
-        update();
-    };
+    const parseSearchTerms = (query) => [...String(query ?? '').matchAll(/"([^"]*)"|(\S+)/g)]
+        .map(([, phrase, word]) => (phrase ?? word).trim().toLowerCase())
+        .filter(Boolean);
 
     /**
-     * @brief Handles individual row selection.
-     * @param {string} rowId The unique identifier of the row.
-     * @param {boolean} checked Whether the row's checkbox is checked.
-     * @description Updates the selectedRows state and UI for a single row.
+     * @brief Gets the columns the global search looks at.
+     * @returns {Array} The columns listed in `search.columns` (or all columns), without those marked `searchable: false`.
      */
-    const handleSelectRow = (rowId, checked) => {
-        if (checked) state.selectedRows.add(rowId);
-        else state.selectedRows.delete(rowId);
-        elements.tbody.querySelector(`tr[data-row-key="${rowId}"]`)?.classList.toggle('selected', checked);
+    const getSearchColumns = () => settings.columns.filter(col =>
+        col.searchable !== false && (!settings.search.columns || settings.search.columns.includes(col.id))
+    );
 
-        const selectAllCheckbox = elements.thead.querySelector('[data-select-all]');
-        if (selectAllCheckbox) {
-            const allOnPageSelected = state.data.length > 0 && state.data.every(row => state.selectedRows.has(row[settings.keyField]));
-            selectAllCheckbox.checked = allOnPageSelected;
-            selectAllCheckbox.indeterminate = !allOnPageSelected && Array.from(state.selectedRows).some(selId => state.data.find(r => r[settings.keyField] === selId));
+    /**
+     * @brief Builds a row predicate for the global search.
+     * @param {string} query The search text.
+     * @returns {Function|null} A `(row) => boolean` test that requires every term to appear in some searchable column,
+     * or null when the query has no terms.
+     */
+    const createSearchTest = (query) => {
+        const terms = parseSearchTerms(query);
+        if (terms.length === 0) return null;
+        const columns = getSearchColumns();
+        return (row) => {
+            const texts = columns.map(col => String(formatValue(col, getCellValue(row, col)) ?? '').toLowerCase());
+            return terms.every(term => texts.some(text => text.includes(term)));
+        };
+    };
+
+    /**
+     * @brief Gets the pattern that highlights the search terms in cell text.
+     * @returns {RegExp|null} A global, case-insensitive pattern (longest terms first), or null without a search.
+     */
+    const getSearchPattern = () => {
+        if (searchHighlight.query !== state.search) {
+            const terms = parseSearchTerms(state.search).sort((a, b) => b.length - a.length);
+            const pattern = terms.length > 0
+                ? new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi')
+                : null;
+            searchHighlight = { query: state.search, pattern };
         }
+        return searchHighlight.pattern;
     };
 
-    // --- Initialization & Styles ---
+    /**
+     * @brief Sanitizes cell text and wraps the search matches in `<mark>`.
+     * @param {string} text The cell text.
+     * @returns {string} Safe HTML.
+     */
+    const highlightMatches = (text) => {
+        const pattern = getSearchPattern();
+        if (!pattern) return sanitize(text);
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(pattern)) {
+            html += `${sanitize(text.slice(last, match.index))}<mark class="${settings.tableClass}-search-match">${sanitize(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        return html + sanitize(text.slice(last));
+    };
 
     /**
-     * @brief Injects CSS styles for the table, including theming and optional features like borders and stripes.
-     * @description Creates a style element with dynamic CSS based on configuration (e.g., bordered, striped).
+     * @brief Converts a cell value into the comparable value used for sorting.
+     * @param {Object} col The column definition.
+     * @param {*} rawValue The accessed cell value.
+     * @returns {number|string|null} A number or string to compare, or null for empty and unparseable values.
      */
-    const injectStyles = () => {
-        const styleId = `dynamic-table-styles-${containerId}`;
-        if (document.getElementById(styleId)) return;
-        let css = `
-            :root { --dt-border-color: #e0e0e0; --dt-header-bg: #f5f5f5; --dt-hover-bg: #f0f0f0; --dt-stripe-bg: #f9f9f9; --dt-selected-bg: #e7f3ff; --dt-primary-color: #007bff; }
-            .${settings.tableClass}-wrapper { position: relative; }
-            .${settings.tableClass}-scroll-container { overflow-x: auto; }
-            .${settings.tableClass} { width: 100%; border-collapse: collapse; text-align: left; }
-            .${settings.tableClass} th, .${settings.tableClass} td { padding: 0.75em; border-bottom: 1px solid var(--dt-border-color); vertical-align: middle; white-space: nowrap; }
-            .${settings.tableClass} th { font-weight: 600; background: var(--dt-header-bg); position: relative; user-select: none; }
-            .${settings.tableClass}-header-content { display: flex; align-items: center; justify-content: space-between; gap: 0.5em; }
-            .${settings.tableClass} tbody tr:hover { background-color: var(--dt-hover-bg); }
-            .${settings.tableClass} tbody tr.selected { background-color: var(--dt-selected-bg); }
-            .${settings.tableClass}-sort-icon { cursor: pointer; width: 1em; height: 1em; text-align: center; color: #aaa; }
-            .${settings.tableClass}-sort-icon::before { content: '▲▼'; opacity: 0.3; }
-            .${settings.tableClass}-sort-icon.sort-asc::before { content: '▲'; opacity: 1; color: #333; }
-            .${settings.tableClass}-sort-icon.sort-desc::before { content: '▼'; opacity: 1; color: #333; }
-            .${settings.tableClass}-filter-row input { width: 100%; box-sizing: border-box; padding: 0.5em; border: 1px solid #ccc; border-radius: 4px; font-size: 0.9em;}
-            .${settings.tableClass}-empty { text-align: center; color: #666; padding: 2em; }
-            .${settings.tableClass}-pagination { display: flex; justify-content: space-between; align-items: center; margin-top: 1.5em; flex-wrap: wrap; gap: 1em; }
-            .${settings.tableClass}-pagination .controls { display: flex; align-items: center; gap: 0.25em; }
-            .${settings.tableClass}-pagination .controls span { margin: 0 0.5em; }
-            .${settings.tableClass}-pagination button { border: 1px solid #ccc; background: #fff; padding: 0.5em 0.75em; border-radius: 4px; cursor: pointer; }
-            .${settings.tableClass}-pagination button:hover:not(:disabled) { background-color: #f0f0f0; }
-            .${settings.tableClass}-pagination button:disabled:not(.active) { cursor: not-allowed; opacity: 0.5; }
-            .${settings.tableClass}-pagination button.active { background: var(--dt-primary-color); color: white; border-color: var(--dt-primary-color); }
-            .${settings.tableClass}-resize-handle { position: absolute; top: 0; right: 0; width: 5px; height: 100%; cursor: col-resize; }
-            .${settings.tableClass}-cell-image { width: 40px; height: 40px; border-radius: 50%; object-fit: cover; border: 2px solid var(--dt-border-color); }
-        `;
-        if (settings.bordered) css += `.${settings.tableClass}-scroll-container { border: 1px solid var(--dt-border-color); border-radius: 4px; } .${settings.tableClass} th, .${settings.tableClass} td { border-right: 1px solid var(--dt-border-color); } .${settings.tableClass} th:last-child, .${settings.tableClass} td:last-child { border-right: none; }`;
-        if (settings.striped) css += `.${settings.tableClass} tbody tr:nth-child(even):not(.selected) { background-color: var(--dt-stripe-bg); }`;
-        const style = document.createElement('style');
-        style.id = styleId;
-        style.textContent = css;
-        document.head.appendChild(style);
+    const toSortValue = (col, rawValue) => {
+        const value = toPlainValue(col, rawValue);
+        if (value == null || value === '') return null;
+        let sortValue;
+        switch (col?.dataType) {
+            case 'number': sortValue = parseFloat(value); break;
+            case 'currency': sortValue = toNumber(value); break;
+            case 'date': sortValue = toTime(value); break;
+            case 'boolean': return toBoolean(value) ? 1 : 0;
+            default: return String(value);
+        }
+        return isNaN(sortValue) ? null : sortValue;
     };
 
     /**
-     * @brief Initializes the table DOM structure and sets up event listeners.
-     * @description Renders the initial table wrapper, scroll container, table, and pagination elements.
+     * @brief Builds a row comparator for one sorter.
+     * @param {Object} sorter A `{ column, order }` sorter.
+     * @param {Intl.Collator} collator The collator used for text values.
+     * @returns {Function} A `(rowA, rowB) => number` comparator.
+     * @description Empty values are placed according to `sorting.nulls` regardless of the sort direction.
      */
-    const initialRender = () => {
-        container.innerHTML = `
-            <div class="${settings.tableClass}-wrapper">
-                <div class="${settings.tableClass}-scroll-container">
-                    <table class="${settings.tableClass}" role="grid">
-                        ${renderHeader()}
-                        <tbody></tbody>
-                    </table>
-                </div>
-                <div class="${settings.tableClass}-pagination"></div>
-            </div>`;
-        elements.wrapper = container.querySelector(`.${settings.tableClass}-wrapper`);
-        elements.table = container.querySelector('table');
-        elements.thead = elements.table.querySelector('thead');
-        elements.tbody = elements.table.querySelector('tbody');
-        elements.pagination = container.querySelector(`.${settings.tableClass}-pagination`);
-        injectStyles();
-        attachEventListeners();
+    const createComparator = ({ column, order }, collator) => {
+        const columnConfig = settings.columns.find(c => c.id === column) ?? { id: column };
+        const direction = order === 'desc' ? -1 : 1;
+        const nullOrder = settings.sorting.nulls === 'first' ? -1 : 1;
+
+        return (rowA, rowB) => {
+            const valA = getCellValue(rowA, columnConfig);
+            const valB = getCellValue(rowB, columnConfig);
+            const sortA = toSortValue(columnConfig, valA);
+            const sortB = toSortValue(columnConfig, valB);
+
+            if (sortA === null || sortB === null) {
+                if (sortA === sortB) return 0;
+                return sortA === null ? nullOrder : -nullOrder;
+            }
+            if (typeof columnConfig?.sortFn === 'function') return columnConfig.sortFn(valA, valB, rowA, rowB) * direction;
+            if (typeof sortA === 'number' && typeof sortB === 'number') return (sortA - sortB) * direction;
+            return collator.compare(String(sortA), String(sortB)) * direction;
+        };
     };
 
-    // --- Public API & Execution ---
+    /**
+     * @brief Creates the collator used to compare text values.
+     * @returns {Intl.Collator} A collator for `sorting.collation`.
+     */
+    const createCollator = () => {
+        const { locale = settings.lang, ...collatorOptions } = settings.sorting.collation;
+        return new Intl.Collator(locale, collatorOptions);
+    };
 
     /**
-     * @brief Refreshes the table with updated data or state.
-     * @description Processes data (if client-side) and triggers a UI update.
-     * @returns {Promise<void>} Resolves when the refresh is complete.
+     * @brief Sorts rows in place by the active sorters.
+     * @param {Array} rows The rows to sort.
+     * @returns {Array} The same array, sorted.
      */
-    const refresh = async () => {
-        if (!settings.serverSide) processClientData();
-        update();
+    const sortRows = (rows) => {
+        if (state.sorters.length === 0) return rows;
+        const collator = createCollator();
+        const comparators = state.sorters.map(sorter => createComparator(sorter, collator));
+
+        return rows.sort((a, b) => {
+            for (const compare of comparators) {
+                const comparison = compare(a, b);
+                if (comparison !== 0) return comparison;
+            }
+            return 0;
+        });
     };
 
     /**
-     * @brief Updates the table with new data.
-     * @param {Array} newData The new array of data objects.
-     * @description Resets pagination and selection, then refreshes the table.
-     * @returns {Promise<void>} Resolves when the update is complete.
+     * @brief Splits rows into nested groups by the `groupBy` columns.
+     * @param {Array} rows The sorted rows to group.
+     * @param {number} [level] The `groupBy` index to group by.
+     * @param {Array} [path] The values of the enclosing groups.
+     * @returns {Array} `{ id, path, level, column, value, rows, children }` groups. Rows keep their order within a group;
+     * groups follow the column's sorter when it has one, and ascend otherwise.
      */
-    const updateData = async (newData) => {
-        if (settings.serverSide) return;
-        settings.data = Array.isArray(newData) ? newData : [];
-        state.currentPage = 1;
-        state.selectedRows.clear();
-        await refresh();
+    const buildGroups = (rows, level = 0, path = []) => {
+        const columnId = settings.groupBy[level];
+        const column = settings.columns.find(c => c.id === columnId) ?? { id: columnId };
+        const buckets = new Map();
+        rows.forEach(row => {
+            const value = toPlainValue(column, getCellValue(row, column));
+            const key = value == null ? '' : String(value);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(row);
+        });
+
+        const sorter = state.sorters.find(s => s.column === columnId) ?? { column: columnId, order: 'asc' };
+        const compare = createComparator(sorter, createCollator());
+        return [...buckets.entries()]
+            .sort(([, a], [, b]) => compare(a[0], b[0]))
+            .map(([value, groupRows]) => {
+                const groupPath = [...path, value];
+                return {
+                    id: JSON.stringify(groupPath),
+                    path: groupPath,
+                    level,
+                    column,
+                    value,
+                    rows: groupRows,
+                    children: level + 1 < settings.groupBy.length ? buildGroups(groupRows, level + 1, groupPath) : null,
+                };
+            });
     };
 
     /**
-     * @brief Gets the current state of the table.
-     * @returns {Object} A copy of the table's internal state (data, filters, sorter, etc.).
+     * @brief Checks whether a group is collapsed.
+     * @param {string} groupId The group id.
+     * @returns {boolean} The `grouping.collapsed` default, inverted for groups the user has toggled.
      */
-    const getState = () => ({ ...state });
+    const isGroupCollapsed = (groupId) => toggledGroups.has(groupId) !== Boolean(settings.grouping.collapsed);
 
-    logger.log("Initializing table...");
-    initialRender();
-    refresh();
+    /**
+     * @brief Groups the matching rows and lays out the current page as group headers, rows and group footers.
+     * @param {Array} rows The filtered and sorted rows.
+     * @description Sets `pageItems` to the `{ type, group, row }` items to render and `state.data` to the rows of expanded
+     * groups on the page. Pages hold `pageSize` rows, or `pageSize` top-level groups with `grouping.paginate: 'groups'`;
+     * `state.totalCount` always counts rows.
+     */
+    const applyGrouping = (rows) => {
+        const groups = buildGroups(rows);
+        const leaves = [];
+        const collectLeaves = (list) => list.forEach(group => (group.children ? collectLeaves(group.children) : leaves.push(...group.rows)));
+        collectLeaves(groups);
+        matchingRows = leaves;
+
+        const { enabled, pageSize } = settings.pagination;
+        const byGroups = settings.grouping.paginate === 'groups';
+        state.totalCount = leaves.length;
+        state.totalPages = enabled ? Math.max(1, Math.ceil((byGroups ? groups.length : leaves.length) / pageSize)) : 1;
+        state.currentPage = Math.max(1, Math.min(state.currentPage, state.totalPages));
+
+        const start = (state.currentPage - 1) * pageSize;
+        let pageLeaves = leaves;
+        if (enabled) pageLeaves = byGroups ? groups.slice(start, start + pageSize).flatMap(group => group.rows) : leaves.slice(start, start + pageSize);
+        const firstIndex = pageLeaves.length > 0 ? leaves.indexOf(pageLeaves[0]) : 0;
+        pageRowRange = { start: pageLeaves.length > 0 ? firstIndex + 1 : 0, end: firstIndex + pageLeaves.length };
+
+        const onPage = new Set(pageLeaves);
+        const showFooters = settings.grouping.footers !== false && settings.columns.some(col => col.aggregate);
+        const items = [];
+        const visibleRows = [];
+        const layout = (list) => list.forEach(group => {
+            const rowsOnPage = group.rows.filter(row => onPage.has(row));
+            if (rowsOnPage.length === 0) return;
+            const collapsed = isGroupCollapsed(group.id);
+            items.push({ type: 'group', group, collapsed });
+            if (!collapsed && group.children) layout(group.children);
+            else if (!collapsed) rowsOnPage.forEach(row => {
+                items.push({ type: 'row', row });
+                visibleRows.push(row);
+            });
+            // A group split across pages shows its footer once, on the page with its last row.
+            if (showFooters && onPage.has(group.rows[group.rows.length - 1])) items.push({ type: 'footer', group });
+        });
+        layout(groups);
+        pageItems = items;
+        state.data = visibleRows;
+    };
 
-    return { refresh, updateData, getState };
+    /**
+     * @brief Computes the column aggregates of a set of rows.
+     * @param {Array} rows The rows to summarize.
+     * @returns {Map} The `{ type, value }` result per column id, for the columns that declare `aggregate`.
+     * @description Numeric aggregates skip values that are not numbers; 'count' counts non-empty values.
+     */
+    const computeAggregates = (rows) => {
+        const results = new Map();
+        settings.columns.filter(col => col.aggregate).forEach(col => {
+            const values = rows.map(row => getCellValue(row, col));
+            if (typeof col.aggregate === 'function') {
+                results.set(col.id, { type: 'custom', value: col.aggregate(values, rows) });
+                return;
+            }
+            if (col.aggregate === 'count') {
+                results.set(col.id, { type: 'count', value: values.filter(value => value != null && value !== '').length });
+                return;
+            }
+            const numbers = values
+                .map(value => (typeof value === 'number' ? value : col.dataType === 'currency' ? toNumber(value) : parseFloat(value)))
+                .filter(Number.isFinite);
+            const sum = numbers.reduce((total, value) => total + value, 0);
+            const value = {
+                sum,
+                avg: numbers.length > 0 ? sum / numbers.length : null,
+                min: numbers.length > 0 ? numbers.reduce((a, b) => Math.min(a, b)) : null,
+                max: numbers.length > 0 ? numbers.reduce((a, b) => Math.max(a, b)) : null,
+            }[col.aggregate];
+            if (value === undefined) return console.error(`[DynamicTable] Unknown aggregate '${col.aggregate}' on column '${col.id}'.`);
+            results.set(col.id, { type: col.aggregate, value });
+        });
+        return results;
+    };
+
+    /**
+     * @brief Logs the `keyField` values shared by more than one row.
+     * @param {Array} rows The loaded data.
+     * @description Runs once per data load: the same array is not checked again on later sorts, filters or page changes.
+     */
+    const reportDuplicateKeys = (rows) => {
+        if (rows === keyCheckedRows || !settings.keyField) return;
+        keyCheckedRows = rows;
+        const seen = new Set();
+        const duplicates = new Set();
+        rows.forEach(row => {
+            const key = getRowKey(row);
+            if (seen.has(key)) duplicates.add(key);
+            seen.add(key);
+        });
+        if (duplicates.size) {
+            console.error(`[DynamicTable] Rows share the '${settings.keyField}' values ${[...duplicates].map(key => `'${key}'`).join(', ')}; keys must be unique.`);
+        }
+    };
+
+    /**
+     * @brief Processes client-side data with filtering, sorting, grouping, and pagination.
+     * @description Applies filters and sorting to the data, calculates pagination, and updates the state with the visible data subset.
+     * Selected rows that are no longer in the data are deselected, with a selectionChange event.
+     */
+    const processClientData = () => {
+        reportDuplicateKeys(settings.data);
+        let processedData = [...settings.data];
+        const filterTests = Object.entries(state.filters)
+            .filter(([, filter]) => isFilterActive(filter))
+            .map(([column, filter]) => {
+                const columnConfig = settings.columns.find(c => c.id === column) ?? { id: column };
+                return { columnConfig, test: createFilterTest(columnConfig, normalizeFilter(columnConfig, filter)) };
+            });
+
+        if (filterTests.length > 0) {
+            processedData = processedData.filter(item =>
+                filterTests.every(({ columnConfig, test }) => test(getCellValue(item, columnConfig), item))
+            );
+        }
+        const searchTest = createSearchTest(state.search);
+        if (searchTest) processedData = processedData.filter(searchTest);
+
+        processedData = sortRows(processedData);
+        matchingRows = processedData;
+        if (state.selectedRows.size > 0) {
+            const keys = new Set(settings.data.map(row => row[settings.keyField]));
+            dropSelectedRows([...state.selectedRows].filter(key => !keys.has(key)));
+        }
+
+        if (settings.groupBy.length > 0) return applyGrouping(processedData);
+        pageItems = null;
+        pageRowRange = null;
+
+        state.totalCount = processedData.length;
+        state.totalPages = settings.pagination.enabled ? Math.ceil(state.totalCount / settings.pagination.pageSize) : 1;
+        state.currentPage = Math.max(1, Math.min(state.currentPage, state.totalPages));
+
+        const start = (state.currentPage - 1) * settings.pagination.pageSize;
+        state.data = settings.pagination.enabled ? processedData.slice(start, start + settings.pagination.pageSize) : processedData;
+    };
+
+    /**
+     * @brief Builds the parameters passed to the data source's `fetchData`.
+     * @param {number} page The page to load.
+     * @param {number|null} pageSize The page size, or null to load every matching row.
+     * @param {AbortSignal} signal The signal that aborts the request.
+     * @returns {Object} The request parameters.
+     */
+    const getRequestParams = (page, pageSize, signal) => ({
+        page,
+        pageSize,
+        filters: { ...state.filters },
+        search: state.search,
+        searchColumns: getSearchColumns().map(col => col.id),
+        sorters: state.sorters.map(sorter => ({ ...sorter })),
+        sorter: state.sorters[0] ? { ...state.sorters[0] } : null,
+        columns: settings.columns,
+        signal,
+    });
+
+    /**
+     * @brief Gets every row matching the current filters, in the current sort order.
+     * @param {Object} [overrides] Request parameters to replace, such as `{ filters: {}, search: '' }` for every row.
+     * @returns {Promise<Array>} The processed client rows, or (server-side) the rows loaded from the data source one page
+     *          at a time. Without pagination they are loaded in one request. Rejects with an AbortError when a new query
+     *          starts or the table is destroyed first.
+     * @description Paging stops at a short page, at `totalCount`, at a page that adds no new rows (a source that ignores
+     * the page parameters) and after `maxPages` requests.
+     */
+    const fetchMatchingRows = async (overrides = {}) => {
+        if (!settings.serverSide) return matchingRows;
+        const maxPages = 1000;
+        const controller = new AbortController();
+        const { signal } = controller;
+        matchingRequests.add(controller);
+        const pageSize = settings.pagination.enabled ? settings.pagination.pageSize : null;
+        const rows = [];
+        const keys = new Set();
+        try {
+            for (let page = 1; page <= maxPages; page++) {
+                const response = await fetchData({ ...getRequestParams(page, pageSize, signal), ...overrides });
+                signal.throwIfAborted();
+                const data = Array.isArray(response?.data) ? response.data : [];
+                const added = data.filter(row => !keys.has(getRowKey(row)));
+                added.forEach(row => keys.add(getRowKey(row)));
+                rows.push(...added);
+                const isLast = !pageSize || data.length < pageSize || added.length === 0
+                    || (Number.isFinite(response?.totalCount) && rows.length >= response.totalCount);
+                if (isLast) return rows;
+            }
+            console.error(`[DynamicTable] Stopped loading the matching rows after ${maxPages} pages.`);
+            return rows;
+        } finally {
+            matchingRequests.delete(controller);
+        }
+    };
+
+    /**
+     * @brief Aborts every running load of the matching rows, e.g. because the query they were loaded for changed.
+     */
+    const abortMatchingRequests = () => {
+        matchingRequests.forEach(controller => controller.abort());
+        matchingRequests.clear();
+    };
+
+    /**
+     * @brief Loads the current page of data from the configured data source.
+     * @description Aborts any request still in flight, then fills data, totalCount and totalPages from the response.
+     * @returns {Promise<boolean>} Resolves to false when the request was superseded by a newer one.
+     */
+    const fetchServerData = async () => {
+        pendingRequest?.abort();
+        abortMatchingRequests();
+        const controller = new AbortController();
+        pendingRequest = controller;
+        state.loading = true;
+        elements.wrapper?.classList.add('loading');
+
+        const pageSize = settings.pagination.enabled ? settings.pagination.pageSize : null;
+        logger.log("Fetching page", state.currentPage);
+        try {
+            const response = await fetchData(getRequestParams(state.currentPage, pageSize, controller.signal));
+            if (controller.signal.aborted) return false;
+            state.data = Array.isArray(response?.data) ? response.data : [];
+            reportDuplicateKeys(state.data);
+            state.totalCount = Number.isFinite(response?.totalCount) ? response.totalCount : state.data.length;
+        } catch (error) {
+            if (controller.signal.aborted) return false;
+            console.error(`[DynamicTable] Error: Failed to fetch data.`, error);
+            state.data = [];
+            state.totalCount = 0;
+        } finally {
+            if (pendingRequest === controller) {
+                pendingRequest = null;
+                state.loading = false;
+                elements.wrapper?.classList.remove('loading');
+            }
+        }
+        state.totalPages = pageSize ? Math.max(1, Math.ceil(state.totalCount / pageSize)) : 1;
+        return true;
+    };
+
+    // --- DOM Rendering ---
+
+    /**
+     * @brief Gets the columns in display order: left-pinned columns first, right-pinned last, the rest in `state.columnOrder`.
+     * @returns {Array} Every column definition, including hidden ones.
+     */
+    const getOrderedColumns = () => {
+        const byId = new Map(settings.columns.map(col => [col.id, col]));
+        const ordered = [...new Set([...state.columnOrder, ...byId.keys()])].map(id => byId.get(id)).filter(Boolean);
+        const group = (col) => ({ left: 0, right: 2 })[col.pinned] ?? 1;
+        return ordered.sort((a, b) => group(a) - group(b));
+    };
+
+    /**
+     * @brief Converts a column width into a CSS length.
+     * @param {number|string} [width] A pixel width, or any CSS length such as '20%'.
+     * @returns {string} The CSS length, or an empty string when no width is set.
+     */
+    const toCssWidth = (width) => {
+        if (width == null || width === '') return '';
+        return typeof width === 'number' || /^\d+(\.\d+)?$/.test(width) ? `${width}px` : String(width);
+    };
+
+    /**
+     * @brief Locks every column to its pixel width and sizes the table to their sum (only with `tableLayout: 'fixed'`).
+     * @description Columns without a pixel width take their current rendered width, once the table is laid out.
+     */
+    const syncFixedLayout = () => {
+        const headerRow = elements.thead?.rows[0];
+        if (settings.tableLayout !== 'fixed' || !headerRow) return;
+        let total = 0;
+        for (const th of headerRow.cells) {
+            if (!th.style.width.endsWith('px')) {
+                if (!th.offsetWidth) return;
+                th.style.width = `${th.offsetWidth}px`;
+            }
+            total += parseFloat(th.style.width);
+        }
+        elements.table.style.width = `${total}px`;
+    };
+
+    /**
+     * @brief Gets the columns that are rendered, in display order.
+     * @returns {Array} The visible column definitions.
+     */
+    const getVisibleColumns = () => getOrderedColumns().filter(col => !state.hiddenColumns.includes(col.id));
+
+    /**
+     * @brief Counts the cells of a full row: the visible columns plus the expander and selection columns.
+     * @returns {number} The column span of a full-width cell.
+     */
+    const getColumnSpan = () => getVisibleColumns().length + (hasDetails ? 1 : 0) + (settings.selectable ? 1 : 0);
+
+    /**
+     * @brief Resolves the visible columns and the sticky positioning of pinned cells.
+     * @returns {Object} `{ columns, pins, selectPin, expanderPin }`: the visible columns, a Map of column id to
+     * `{ className, style }` for pinned columns, and the pinning of the selection and expander columns (pinned along with
+     * any left-pinned column), or null.
+     * @description Offsets are CSS variables (`--dt-pin-left-0`, ...) set by `syncPinnedOffsets`, so cell markup does not
+     * depend on measured widths.
+     */
+    const getColumnLayout = () => {
+        const columns = getVisibleColumns();
+        const left = columns.filter(col => col.pinned === 'left');
+        const right = columns.filter(col => col.pinned === 'right');
+        const pinLeading = left.length > 0;
+        const offset = pinLeading ? (hasDetails ? 1 : 0) + (settings.selectable ? 1 : 0) : 0;
+        // Offsets are logical, so 'left' pins stick to the start edge, which is the right edge in RTL layouts.
+        const pin = (side, index) => ({
+            className: `${settings.tableClass}-pinned-${side}`,
+            style: `inset-inline-${side === 'left' ? 'start' : 'end'}: var(--dt-pin-${side}-${index}, 0px);`,
+        });
+        const pins = new Map([
+            ...left.map((col, i) => [col.id, pin('left', i + offset)]),
+            ...right.map((col, i) => [col.id, pin('right', right.length - 1 - i)]),
+        ]);
+        return {
+            columns,
+            pins,
+            selectPin: pinLeading && settings.selectable ? pin('left', hasDetails ? 1 : 0) : null,
+            expanderPin: pinLeading && hasDetails ? pin('left', 0) : null,
+        };
+    };
+
+    /**
+     * @brief Measures the pinned header cells and sets the sticky offsets of the pinned columns.
+     */
+    const syncPinnedOffsets = () => {
+        const headerRow = elements.thead?.rows[0];
+        if (!headerRow) return;
+        ['left', 'right'].forEach(side => {
+            const cells = [...headerRow.querySelectorAll(`.${settings.tableClass}-pinned-${side}`)];
+            if (side === 'right') cells.reverse();
+            let offset = 0;
+            cells.forEach((th, i) => {
+                elements.table.style.setProperty(`--dt-pin-${side}-${i}`, `${offset}px`);
+                offset += th.offsetWidth;
+            });
+        });
+    };
+
+    /**
+     * @brief Renders the column chooser's checkboxes.
+     * @returns {string} HTML string for the column menu panel content.
+     */
+    const renderColumnMenu = () => {
+        const visibleCount = getVisibleColumns().length;
+        return getOrderedColumns().map(col => {
+            const visible = !state.hiddenColumns.includes(col.id);
+            const locked = col.hideable === false || (visible && visibleCount === 1);
+            return `<label><input type="checkbox" data-column-toggle="${sanitize(col.id)}" ${visible ? 'checked' : ''} ${locked ? 'disabled' : ''}> ${sanitize(col.caption || col.id)}</label>`;
+        }).join('');
+    };
+
+    /**
+     * @brief Re-renders the header and the column menu after the column layout changed.
+     * @description The body keeps its rows; the next `update()` patches the cells into the new layout.
+     */
+    const renderColumnHeader = () => {
+        cellRange = null;
+        elements.thead.outerHTML = renderHeader();
+        elements.thead = elements.table.querySelector('thead');
+        const panel = elements.columnMenu?.querySelector('[data-column-menu-panel]');
+        if (panel) panel.innerHTML = renderColumnMenu();
+    };
+
+    /**
+     * @brief Gets the choices of an enum filter or select editor.
+     * @param {Object} col The column definition.
+     * @param {Array} [options] Configured options: values or `{ value, label }` objects.
+     * @returns {Array} `[value, label]` pairs. Without configured options, the distinct values in the client data are used.
+     */
+    const getColumnOptions = (col, options) => {
+        const values = options ?? [...new Set(settings.data.map(row => toPlainValue(col, getCellValue(row, col))).filter(v => v != null && v !== ''))].sort();
+        return values.map(option => typeof option === 'object' ? [option.value, option.label ?? option.value] : [option, formatValue(col, option)]);
+    };
+
+    /**
+     * @brief Renders the filter-row control of a column, matching its filter type.
+     * @param {Object} col The column definition.
+     * @returns {string} HTML string for the filter control.
+     * @description Text, number and date filters get an operator select next to the input; range operators reveal a second input.
+     */
+    const renderFilterControl = (col) => {
+        const { type, operators, options } = getFilterConfig(col);
+        const filter = normalizeFilter(col, state.filters[col.id]);
+        const attrs = `data-filter-column="${sanitize(col.id)}"`;
+        const label = (key) => sanitize(translate(key, { column: col.caption || col.id }));
+
+        if (type === 'boolean' || type === 'enum') {
+            const choices = type === 'enum' ? getColumnOptions(col, options) : [['true', translate('yes')], ['false', translate('no')]];
+            const optionTags = choices.map(([value, text]) =>
+                `<option value="${sanitize(value)}" ${String(value) === String(filter.value) ? 'selected' : ''}>${sanitize(text)}</option>`
+            ).join('');
+            return `<select ${attrs} data-filter-part="value" aria-label="${label('filterLabel')}"><option value="">${sanitize(translate('filterAll'))}</option>${optionTags}</select>`;
+        }
+
+        const operatorSelect = operators.length > 1 ? `<select ${attrs} data-filter-part="operator" aria-label="${label('filterOperatorLabel')}">${
+            operators.map(op => `<option value="${op}" ${op === filter.operator ? 'selected' : ''}>${sanitize(translate(filterOperators[type][op]))}</option>`).join('')
+        }</select>` : '';
+        const inputType = { number: 'number', date: 'date' }[type] ?? 'search';
+        const isRange = filter.operator === 'between' || filter.operator === 'range';
+        const valueTo = type === 'text' ? '' :
+            `<input type="${inputType}" placeholder="${sanitize(translate('filterToPlaceholder'))}" ${attrs} data-filter-part="valueTo" value="${sanitize(filter.valueTo)}" aria-label="${label('filterToLabel')}" ${isRange ? '' : 'hidden'}/>`;
+        return `<div class="${settings.tableClass}-filter-control">
+                ${operatorSelect}
+                <input type="${inputType}" placeholder="${sanitize(translate('filterPlaceholder'))}" ${attrs} data-filter-part="value" value="${sanitize(filter.value)}" aria-label="${label('filterLabel')}"/>
+                ${valueTo}
+            </div>`;
+    };
+
+    /**
+     * @brief Renders the table header with column titles, sorting icons, and optional filters.
+     * @returns {string} HTML string for the table header.
+     */
+    const renderHeader = () => {
+        const selectAll = selectionMode === 'multi' ? `<input type="checkbox" data-select-all aria-label="${sanitize(translate('selectAllRows'))}" tabindex="-1">` : '';
+        const { columns, pins, selectPin, expanderPin } = getColumnLayout();
+        const selectHeader = settings.selectable
+            ? `<th tabindex="-1"${selectPin ? ` class="${selectPin.className}" style="${selectPin.style}"` : ''}>${selectAll}</th>`
+            : '';
+        const expanderHeader = hasDetails
+            ? `<th tabindex="-1" class="${settings.tableClass}-expander${expanderPin ? ` ${expanderPin.className}" style="${expanderPin.style}` : ''}">
+                <button type="button" class="${settings.tableClass}-detail-toggle" data-detail-toggle-all aria-expanded="${detailsExpanded}" aria-label="${sanitize(translate('toggleAllDetails'))}" tabindex="-1"></button>
+            </th>`
+            : '';
+        const headerCells = columns.map(col => {
+            const caption = sanitize(col.caption || col.id);
+            const sortIcon = col.filterableAndSortable
+                ? `<button type="button" class="${settings.tableClass}-sort-icon" data-sort-column="${sanitize(col.id)}" aria-label="${sanitize(translate('sortBy', { column: col.caption || col.id }))}" tabindex="-1"></button>`
+                : '';
+            const resizer = settings.resizable
+                ? `<span class="${settings.tableClass}-resize-handle" role="separator" aria-orientation="vertical" aria-label="${sanitize(translate('resizeColumn', { column: col.caption || col.id }))}" tabindex="-1"></span>`
+                : '';
+            const pin = pins.get(col.id);
+            const width = toCssWidth(state.columnWidths[col.id] ?? col.width);
+            const style = `${width ? `width: ${width};` : ''}${pin?.style ?? ''}`;
+            const ariaSort = col.filterableAndSortable ? ' aria-sort="none"' : '';
+            const classes = [pin?.className, resolveClass(settings.headerClass, col), resolveClass(col.headerClass, col)].filter(Boolean).join(' ');
+            const attrs = `${classes ? ` class="${classes}"` : ''}${settings.reorderable ? ' draggable="true"' : ''}${ariaSort}`;
+            return `<th style="${style}" data-column-id="${sanitize(col.id)}" tabindex="-1"${attrs}>
+                <div class="${settings.tableClass}-header-content">
+                    <span>${caption}</span>
+                    ${sortIcon}
+                </div>
+                ${resizer}
+            </th>`;
+        }).join('');
+
+        return `<thead><tr>${expanderHeader}${selectHeader}${headerCells}</tr>${renderFilterRow()}</thead>`;
+    };
+
+    /**
+     * @brief Renders the filter row, showing the values in `state.filters`.
+     * @returns {string} HTML string for the filter row, or an empty string if filtering is disabled.
+     */
+    const renderFilterRow = () => {
+        if (!settings.filtering.enabled) return '';
+        const { columns, pins, selectPin, expanderPin } = getColumnLayout();
+        const pinAttrs = (pin) => pin ? ` class="${pin.className}" style="${pin.style}"` : '';
+        const expanderFilter = hasDetails ? `<th${pinAttrs(expanderPin)}></th>` : '';
+        const selectFilter = settings.selectable ? `<th${pinAttrs(selectPin)}></th>` : '';
+        const filterCells = columns.map(col => {
+            const input = col.filterableAndSortable ? renderFilterControl(col) : '';
+            return `<th${pinAttrs(pins.get(col.id))}>${input}</th>`;
+        }).join('');
+        return `<tr class="${settings.tableClass}-filter-row">${expanderFilter}${selectFilter}${filterCells}</tr>`;
+    };
+
+    /**
+     * @brief Creates a DOM element from an HTML string.
+     * @param {string} html Markup for a single element (table parts such as `<tr>` and `<td>` are allowed).
+     * @returns {Element} The created element.
+     */
+    const createElement = (html) => {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return fillSlots(template.content.firstElementChild);
+    };
+
+    /**
+     * @brief Converts renderer output into markup, with a placeholder standing in for each DOM node.
+     * @param {*} content A template result (`html`, `unsafeHTML`), a DOM node, a primitive or an array of these.
+     * @returns {string} HTML in which plain values are escaped. A node keeps its placeholder id across renders, so a renderer
+     * that returns the same node again leaves its cell untouched.
+     */
+    const toMarkup = (content) => renderHTML(content, (node) => {
+        if (!nodeIds.has(node)) nodeIds.set(node, ++nodeCount);
+        slotNodes.set(nodeIds.get(node), node);
+        return `<template data-node-slot="${nodeIds.get(node)}"></template>`;
+    });
+
+    /**
+     * @brief Replaces the node placeholders of freshly parsed markup with their nodes.
+     * @param {Element|null} element The parsed element.
+     * @returns {Element|null} The same element.
+     */
+    const fillSlots = (element) => {
+        element?.querySelectorAll('template[data-node-slot]').forEach(slot => {
+            const node = slotNodes.get(Number(slot.dataset.nodeSlot));
+            if (node) slot.replaceWith(node);
+            else slot.remove();
+        });
+        return element;
+    };
+
+    /**
+     * @brief Checks a badge color before it is put in a style attribute.
+     * @param {*} color A CSS color such as 'green', '#2e7d32', 'rgb(46 125 50)' or 'var(--status-ok)'.
+     * @returns {string} The color, or '' if it is not a single color token.
+     */
+    const toCssColor = (color) => {
+        const text = String(color ?? '').trim();
+        return /^(#[\da-f]{3,8}|[a-z]+|(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([\w\s.,%/+-]*\)|var\(--[\w-]+\))$/i.test(text) ? text : '';
+    };
+
+    /**
+     * @brief Built-in cell renderers, chosen with a column's `render` ('badge' or `{ type: 'badge', ...options }`).
+     * @description Each takes `(value, options, row, col)` and returns a template result. Text is formatted like plain
+     * cells, and every value is escaped.
+     */
+    const cellRenderers = {
+        link: (value, { href, text, target }, row, col) => {
+            const url = safeUrl(typeof href === 'function' ? href(value, row) : href ?? value);
+            const label = typeof text === 'function' ? text(value, row) : text ?? formatValue(col, value);
+            const targetAttrs = target ? html` target="${target}" rel="noopener noreferrer"` : '';
+            return url ? html`<a href="${url}"${targetAttrs}>${label}</a>` : label;
+        },
+        badge: (value, { colors = {} }, row, col) => [].concat(value).map(item => {
+            const color = toCssColor(typeof colors === 'function' ? colors(item, row) : colors[item]);
+            return html`<span class="${settings.tableClass}-badge"${color ? html` style="--dt-badge-color: ${color};"` : ''}>${formatValue(col, item)}</span>`;
+        }),
+        boolean: (value) => {
+            const checked = toBoolean(value);
+            return html`<span class="${settings.tableClass}-check" data-checked="${String(checked)}" role="img" aria-label="${translate(checked ? 'yes' : 'no')}">${checked ? '✓' : '✗'}</span>`;
+        },
+        progress: (value, { max = 100 }) => {
+            const number = Math.min(Math.max(toNumber(value), 0), max);
+            if (isNaN(number)) return null;
+            const percent = getIntl(Intl.NumberFormat, { style: 'percent', maximumFractionDigits: 0 })?.format(number / max) ?? `${Math.round(number / max * 100)}%`;
+            return html`<span class="${settings.tableClass}-progress"><progress value="${number}" max="${max}">${percent}</progress> ${percent}</span>`;
+        },
+        date: (value, { format = 'date', ...options }) => {
+            const time = toTime(value);
+            if (isNaN(time)) return formatValue(null, value);
+            return html`<time datetime="${new Date(time).toISOString()}">${formatValue({ format: { ...options, type: format } }, value)}</time>`;
+        },
+        currency: (value, { currency = 'USD', ...options }) =>
+            html`<span class="${settings.tableClass}-number">${formatValue({ format: { ...options, type: 'currency', currency } }, value)}</span>`,
+        email: (value) => [].concat(value).map((address, i) => {
+            const text = String(address ?? '').trim();
+            const href = safeUrl(`mailto:${text}`);
+            return html`${i > 0 ? ', ' : ''}${href ? html`<a href="${href}">${text}</a>` : text}`;
+        }),
+        image: (value, { alt, fallback, width, height }, row, col) => {
+            const src = safeUrl(value, true) || safeUrl(fallback, true);
+            if (!src) return null;
+            const size = html`${width ? html` width="${width}"` : ''}${height ? html` height="${height}"` : ''}`;
+            const fallbackAttr = fallback && src !== fallback ? html` data-fallback="${safeUrl(fallback, true)}"` : '';
+            const text = typeof alt === 'function' ? alt(value, row) : alt ?? col.caption ?? '';
+            return html`<img class="${settings.tableClass}-cell-image" src="${src}" alt="${text}" loading="lazy"${size}${fallbackAttr}>`;
+        },
+        list: (value, { item }, row, col) =>
+            html`<ul class="${settings.tableClass}-list">${[].concat(value).map(entry =>
+                html`<li>${(item && renderValue(item, entry, row, col)) ?? formatValue(col, entry)}</li>`
+            )}</ul>`,
+    };
+    cellRenderers.tag = cellRenderers.badge;
+
+    /**
+     * @brief Renders a cell value with a column's `render` option.
+     * @param {Function|string|Object} render A `(row, value) => content` function, a built-in renderer name, or
+     * `{ type, ...options }` for a built-in renderer.
+     * @param {*} value The accessed cell value.
+     * @param {Object} row The data row.
+     * @param {Object} col The column definition.
+     * @returns {*} The renderer output for `toMarkup`, or null to fall back to the formatted value. Built-in renderers skip
+     * empty values, except images with a `fallback`.
+     */
+    const renderValue = (render, value, row, col) => {
+        if (typeof render === 'function') return render(row, value);
+        const { type, ...options } = typeof render === 'string' ? { type: render } : render;
+        const renderer = cellRenderers[type];
+        if (!renderer) {
+            console.error(`[DynamicTable] Unknown renderer '${type}' on column '${col.id}'.`);
+            return null;
+        }
+        const isEmpty = value == null || value === '' || (Array.isArray(value) && value.length === 0);
+        return isEmpty && !(type === 'image' && options.fallback) ? null : renderer(value, options, row, col);
+    };
+
+    /**
+     * @brief Gets the key that identifies a row's DOM node between renders.
+     * @param {Object} row The data row.
+     * @returns {string|Object} The `keyField` value as a string, or the row object itself when no key field is configured.
+     */
+    const getRowKey = (row) => settings.keyField ? String(row[settings.keyField]) : row;
+
+    /**
+     * @brief Renders the cells of a data row, supporting selection and custom rendering.
+     * @param {Object} row The data row.
+     * @param {Object} layout The result of `getColumnLayout`, shared by every row of a render pass.
+     * @returns {string[]} HTML strings, one per `<td>`. Selection state is applied separately so toggling it does not change the markup.
+     */
+    const renderCells = (row, layout) => {
+        const rowId = row[settings.keyField];
+        const { columns, pins, selectPin, expanderPin } = layout;
+        const highlighted = getSearchPattern() ? new Set(getSearchColumns()) : null;
+        const selectAttrs = selectPin ? ` class="${selectPin.className}" style="${selectPin.style}"` : '';
+        const selectCell = settings.selectable ? [`<td${selectAttrs}><input type="checkbox" data-row-id="${sanitize(rowId)}" aria-label="${sanitize(translate('selectRow'))}" tabindex="-1"></td>`] : [];
+        const expanderCell = hasDetails ? [
+            `<td class="${settings.tableClass}-expander${expanderPin ? ` ${expanderPin.className}" style="${expanderPin.style}` : ''}">`
+            + `<button type="button" class="${settings.tableClass}-detail-toggle" data-detail-toggle="${sanitize(rowId)}" aria-expanded="${isRowExpanded(rowId)}" aria-label="${sanitize(translate('toggleDetail'))}" tabindex="-1"></button></td>`,
+        ] : [];
+        const cells = columns.map(col => {
+            const value = getCellValue(row, col);
+            // `isImage: true` predates the built-in renderers and is kept as a shorthand for `render: 'image'`.
+            const render = col.render ?? (col.isImage ? 'image' : null);
+            const rendered = render ? renderValue(render, value, row, col) : null;
+            let content;
+            if (rendered != null) {
+                content = toMarkup(rendered);
+            } else if (Array.isArray(value) && col.arrayDisplay === 'count') {
+                content = `<span class="${settings.tableClass}-count-badge" title="${sanitize(toPlainValue(null, value))}">${value.length}</span>`;
+            } else {
+                const text = formatValue(col, value);
+                if (text == null || (text === '' && value !== '')) content = sanitize(translate('emptyValue'));
+                else content = highlighted?.has(col) ? highlightMatches(String(text)) : sanitize(text);
+            }
+            const pin = pins.get(col.id);
+            const classes = [
+                col.editable ? `${settings.tableClass}-editable` : '',
+                pendingChanges.get(String(rowId))?.columns.has(col.id) ? `${settings.tableClass}-cell-dirty` : '',
+                pin?.className ?? '',
+                resolveClass(settings.cellClass, value, row, col),
+                resolveClass(col.cellClass, value, row, col),
+            ].filter(Boolean).join(' ');
+            const attrs = `${classes ? ` class="${classes}"` : ''}${pin ? ` style="${pin.style}"` : ''}`;
+            return `<td data-column-id="${sanitize(col.id)}"${attrs} tabindex="-1">${content}</td>`;
+        });
+        return [...expanderCell, ...selectCell, ...cells];
+    };
+
+    /**
+     * @brief Creates or patches the `<tr>` of a data row.
+     * @param {Object} row The data row.
+     * @param {Object} [entry] The previously rendered `{ tr, cells, row, rowClass }` entry for the same key.
+     * @param {Object} layout The result of `getColumnLayout`.
+     * @returns {Object} The up-to-date entry. Only cells whose markup changed are replaced.
+     */
+    const patchRow = (row, entry, layout) => {
+        const cells = renderCells(row, layout);
+        const rowClass = resolveClass(settings.rowClass, row);
+        if (!entry || entry.cells.length !== cells.length) {
+            const tr = createElement(`<tr data-row-key="${sanitize(row[settings.keyField])}"${rowClass ? ` class="${rowClass}"` : ''}>${cells.join('')}</tr>`);
+            entry?.tr.replaceWith(tr);
+            slotNodes.clear();
+            return { tr, cells, row, rowClass };
+        }
+        cells.forEach((html, i) => {
+            if (html !== entry.cells[i]) entry.tr.children[i].replaceWith(createElement(html));
+        });
+        slotNodes.clear();
+        if (rowClass !== entry.rowClass) {
+            // Swap only the hook's classes; 'selected' is managed separately.
+            entry.tr.classList.remove(...entry.rowClass.split(' ').filter(Boolean));
+            entry.tr.classList.add(...rowClass.split(' ').filter(Boolean));
+        }
+        return { tr: entry.tr, cells, row, rowClass };
+    };
+
+    /**
+     * @brief Checks whether a row's detail row is expanded.
+     * @param {*} rowId The row's `keyField` value.
+     * @returns {boolean} True if expanded: all rows follow the expand-all default, except those toggled individually.
+     */
+    const isRowExpanded = (rowId) => toggledDetails.has(String(rowId)) !== detailsExpanded;
+
+    /**
+     * @brief Creates or reuses the detail row of an expanded data row.
+     * @param {Object} row The data row.
+     * @param {Map} nextDetails Collects the `{ tr, row }` entries rendered in this pass.
+     * @param {Array} pending Collects the entries whose content must be (re)rendered once they are in the document.
+     * @returns {Element} The detail `<tr>`.
+     * @description A row replaced by an equal copy (e.g. after a server-side reload) keeps its rendered detail.
+     */
+    const patchDetailRow = (row, nextDetails, pending) => {
+        const key = getRowKey(row);
+        let entry = nextDetails.get(key) ?? renderedDetails.get(key);
+        if (!entry) {
+            const id = `${containerId}-detail-${++detailCount}`;
+            entry = {
+                tr: createElement(`<tr class="${settings.tableClass}-detail-row" data-detail-row="${sanitize(key)}"><td><div class="${settings.tableClass}-detail" id="${id}" data-detail-content></div></td></tr>`),
+                row: null,
+            };
+        }
+        entry.tr.firstElementChild.colSpan = getColumnSpan();
+        if (entry.row !== row) {
+            if (!entry.row || !isSameRow(entry.row, row)) pending.push(entry);
+            entry.row = row;
+        }
+        nextDetails.set(key, entry);
+        return entry.tr;
+    };
+
+    /**
+     * @brief Compares two versions of a data row by value.
+     * @param {Object} a The rendered row.
+     * @param {Object} b The new row.
+     * @returns {boolean} True if both have the same fields with the same values; nested objects and arrays are compared as JSON.
+     */
+    const isSameRow = (a, b) => {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key])
+            || (typeof a[key] === 'object' && a[key] !== null && JSON.stringify(a[key]) === JSON.stringify(b[key])));
+    };
+
+    /**
+     * @brief Runs the cleanup function a `renderDetail` call returned, if any.
+     * @param {Object} entry The `{ tr, row }` detail entry.
+     * @param {boolean} [removed] Whether the detail row is going away, which also drops a hook result still pending.
+     */
+    const cleanupDetail = (entry, removed = false) => {
+        const { cleanup } = entry;
+        entry.cleanup = null;
+        if (removed) entry.token = null;
+        try {
+            cleanup?.();
+        } catch (error) {
+            console.error(`[DynamicTable] Error: Failed to clean up the detail row.`, error);
+        }
+    };
+
+    /**
+     * @brief Fills a detail row with the result of `renderDetail`.
+     * @param {Object} entry The `{ tr, row }` detail entry. Its row must already be in the document so the hook can mount
+     * another table by element id.
+     * @returns {Promise<void>} Resolves when the hook has settled. Results that arrive after the row was re-rendered are dropped.
+     */
+    const renderDetailContent = async (entry) => {
+        const element = entry.tr.querySelector('[data-detail-content]');
+        const token = {};
+        cleanupDetail(entry);
+        entry.token = token;
+        element.replaceChildren();
+        let loading = null;
+        try {
+            let result = settings.renderDetail(entry.row, element);
+            if (typeof result?.then === 'function') {
+                if (!element.hasChildNodes()) {
+                    loading = createElement(`<div class="${settings.tableClass}-detail-loading">${sanitize(translate('loadingDetail'))}</div>`);
+                    element.appendChild(loading);
+                }
+                result = await result;
+            }
+            if (typeof result === 'function') {
+                // The cleanup of a result that arrives after the row was re-rendered or removed is due right away.
+                if (entry.token !== token) return cleanupDetail({ cleanup: result });
+                entry.cleanup = result;
+                loading?.remove();
+                return;
+            }
+            if (entry.token !== token) return;
+            loading?.remove();
+            if (result instanceof Node) element.replaceChildren(result);
+            else if (result != null && result !== false) {
+                element.innerHTML = toMarkup(result);
+                fillSlots(element);
+                slotNodes.clear();
+            }
+        } catch (error) {
+            console.error(`[DynamicTable] Error: Failed to render the detail row.`, error);
+            loading?.remove();
+        }
+    };
+
+    /**
+     * @brief Formats an aggregate result for display.
+     * @param {Object} col The column definition.
+     * @param {Object} result The `{ type, value }` aggregate result.
+     * @returns {string} Sanitized HTML, e.g. "Sum: 1,250.5"; custom aggregate results are shown as returned.
+     */
+    const formatAggregate = (col, { type, value }) => {
+        if (type === 'custom') return sanitize(value ?? '');
+        const numberFormat = getIntl(Intl.NumberFormat, { maximumFractionDigits: 2 });
+        let text = col.format && type !== 'count' ? formatValue(col, value) : toPlainValue(col, value);
+        if (typeof text === 'number' && numberFormat) text = numberFormat.format(text);
+        return `<span class="${settings.tableClass}-aggregate-label">${sanitize(translate(type))}:</span> ${sanitize(text ?? translate('emptyValue'))}`;
+    };
+
+    /**
+     * @brief Renders a row of aggregate cells aligned with the visible columns.
+     * @param {Map} aggregates The results of `computeAggregates`.
+     * @param {string} className The class of the `<tr>`.
+     * @param {Object} [layout] The result of `getColumnLayout`, if the caller already has it.
+     * @returns {string} HTML string for the row.
+     */
+    const renderAggregateRow = (aggregates, className, layout = getColumnLayout()) => {
+        const { columns, pins, selectPin, expanderPin } = layout;
+        const pinAttrs = (pin) => pin ? ` class="${pin.className}" style="${pin.style}"` : '';
+        const leadingCells = [hasDetails && `<td${pinAttrs(expanderPin)}></td>`, settings.selectable && `<td${pinAttrs(selectPin)}></td>`].filter(Boolean);
+        const cells = columns.map(col => {
+            const pin = pins.get(col.id);
+            const result = aggregates.get(col.id);
+            return `<td data-aggregate-column="${sanitize(col.id)}"${pinAttrs(pin)}>${result ? formatAggregate(col, result) : ''}</td>`;
+        });
+        return `<tr class="${className}">${[...leadingCells, ...cells].join('')}</tr>`;
+    };
+
+    /**
+     * @brief Renders a collapsible group header row.
+     * @param {Object} group The group from `buildGroups`.
+     * @param {boolean} collapsed Whether the group is collapsed.
+     * @returns {string} HTML string for the row.
+     */
+    const renderGroupRow = (group, collapsed) => {
+        const colSpan = getColumnSpan();
+        const caption = group.column.caption || group.column.id;
+        const value = group.value === '' ? translate('emptyValue') : formatValue(group.column, group.value);
+        return `
+            <tr class="${settings.tableClass}-group-row" data-group-level="${group.level}">
+                <td colspan="${colSpan}" style="padding-inline-start: ${0.75 + group.level * 1.5}em;">
+                    <button type="button" class="${settings.tableClass}-group-toggle" data-group-toggle="${sanitize(group.id)}" aria-expanded="${!collapsed}"
+                        aria-label="${sanitize(translate('toggleGroup', { group: value }))}"></button>
+                    <span class="${settings.tableClass}-group-label">${sanitize(caption)}: <strong>${sanitize(value)}</strong></span>
+                    <span class="${settings.tableClass}-group-count">${sanitize(translate('groupCount', { count: group.rows.length }))}</span>
+                </td>
+            </tr>`.trim();
+    };
+
+    /**
+     * @brief Creates or reuses the `<tr>` of a group header or footer.
+     * @param {Object} item A 'group' or 'footer' item of `pageItems`.
+     * @param {Map} nextGroupRows Collects the `{ tr, html }` entries rendered in this pass.
+     * @param {Object} layout The result of `getColumnLayout`.
+     * @returns {Element} The row. It is only recreated when its markup changed.
+     */
+    const patchGroupItem = (item, nextGroupRows, layout) => {
+        const id = `${item.type}:${item.group.id}`;
+        if (item.type === 'footer') item.group.aggregates ??= computeAggregates(item.group.rows);
+        const html = item.type === 'group'
+            ? renderGroupRow(item.group, item.collapsed)
+            : renderAggregateRow(item.group.aggregates, `${settings.tableClass}-group-footer`, layout);
+        const previous = renderedGroupRows.get(id);
+        const entry = previous?.html === html ? previous : { tr: createElement(html), html };
+        nextGroupRows.set(id, entry);
+        return entry.tr;
+    };
+
+    /**
+     * @brief Renders the table footer with the aggregates of every matching row.
+     * @description Only rendered when a column declares `aggregate`. Server-side, the aggregates cover the loaded page.
+     */
+    const renderTableFooter = () => {
+        if (!elements.tfoot) return;
+        const rows = settings.serverSide ? state.data : matchingRows;
+        const html = renderAggregateRow(computeAggregates(rows), `${settings.tableClass}-footer-row`);
+        if (html !== renderedFooter) elements.tfoot.innerHTML = html;
+        renderedFooter = html;
+    };
+
+    /**
+     * @brief Gets the number of body rows the virtual window moves over.
+     * @returns {number} The length of `pageItems` when rows are grouped, otherwise of `state.data`.
+     */
+    const getVirtualCount = () => (pageItems ? pageItems.length : state.data.length);
+
+    /**
+     * @brief Gets what a virtual row's height is measured and cached for.
+     * @param {number} index The index into `pageItems` when rows are grouped, otherwise into `state.data`.
+     * @returns {Object} The data row, or the group header or footer item.
+     */
+    const getVirtualItem = (index) => {
+        if (!pageItems) return state.data[index];
+        const item = pageItems[index];
+        return item.type === 'row' ? item.row : item;
+    };
+
+    /**
+     * @brief Gets the height used to lay out a virtualized row.
+     * @param {Object} item The data row, or a group header or footer item.
+     * @returns {number} The fixed row height, the measured height, or the average measured height as an estimate.
+     */
+    const getRowHeight = (item) => {
+        const { rowHeight } = settings.virtualization;
+        if (rowHeight !== 'auto') return rowHeight;
+        return virtual.measuredHeights.get(item) ?? (virtual.measuredCount > 0 ? virtual.measuredTotal / virtual.measuredCount : 40);
+    };
+
+    /**
+     * @brief Calculates which rows of `state.data` (or, grouped, of `pageItems`) fall inside the scroll viewport.
+     * @returns {Object} The `{ start, end }` slice to render, including the buffer rows.
+     * @description The start is rounded down to an even index so striping does not flip while scrolling. Fixed row
+     * heights are computed directly; 'auto' heights are summed from the first row.
+     */
+    const getVirtualRange = () => {
+        const { buffer, rowHeight } = settings.virtualization;
+        const { scrollContainer, thead } = elements;
+        const top = Math.max(0, scrollContainer.scrollTop - (thead?.offsetHeight ?? 0));
+        const bottom = top + scrollContainer.clientHeight;
+        const count = getVirtualCount();
+
+        if (rowHeight !== 'auto') {
+            const first = Math.max(0, Math.min(count, Math.floor(top / rowHeight)) - buffer);
+            return { start: first - (first % 2), end: Math.min(count, Math.ceil(bottom / rowHeight) + buffer) };
+        }
+
+        let start = 0;
+        let offset = 0;
+        while (start < count && offset + getRowHeight(getVirtualItem(start)) <= top) {
+            offset += getRowHeight(getVirtualItem(start));
+            start++;
+        }
+        let end = start;
+        while (end < count && offset < bottom) {
+            offset += getRowHeight(getVirtualItem(end));
+            end++;
+        }
+        start = Math.max(0, start - buffer);
+        return { start: start - (start % 2), end: Math.min(count, end + buffer) };
+    };
+
+    /**
+     * @brief Creates or resizes the invisible row that stands in for the rows outside the virtual window.
+     * @param {string} position Either 'top' or 'bottom'.
+     * @param {number} height The total height of the rows it replaces, in pixels.
+     * @returns {Element} The spacer row.
+     */
+    const syncSpacer = (position, height) => {
+        const colSpan = getColumnSpan();
+        let spacer = elements.tbody.querySelector(`:scope > [data-spacer="${position}"]`);
+        if (!spacer) {
+            spacer = createElement(`<tr class="${settings.tableClass}-virtual-spacer" data-spacer="${position}" aria-hidden="true"><td></td></tr>`);
+        }
+        spacer.firstElementChild.colSpan = colSpan;
+        spacer.firstElementChild.style.height = `${height}px`;
+        return spacer;
+    };
+
+    /**
+     * @brief Sums the layout height of a slice of `state.data` (or, grouped, of `pageItems`).
+     * @param {number} from The first row index (inclusive).
+     * @param {number} to The last row index (exclusive).
+     * @returns {number} The total height in pixels.
+     */
+    const sumRowHeights = (from, to) => {
+        const { rowHeight } = settings.virtualization;
+        if (rowHeight !== 'auto') return Math.max(0, to - from) * rowHeight;
+        let total = 0;
+        for (let i = from; i < to; i++) total += getRowHeight(getVirtualItem(i));
+        return total;
+    };
+
+    /**
+     * @brief Reconciles the table body with `state.data` by row key.
+     * @description Rows that are still visible keep their DOM nodes and only changed cells are replaced; new rows are created,
+     * stale rows removed and the rest moved into order. With virtualization enabled, only the rows in the virtual window are
+     * kept, between two spacer rows. When rows are grouped, group headers and footers are interleaved and take part in the
+     * virtual window like rows.
+     */
+    const patchBody = () => {
+        const { tbody } = elements;
+        const virtualized = settings.virtualization.enabled;
+        if (getVirtualCount() === 0) {
+            const colSpan = getColumnSpan();
+            tbody.innerHTML = `<tr><td colspan="${colSpan}" class="${settings.tableClass}-empty">${settings.emptyMessage ?? sanitize(translate('emptyMessage'))}</td></tr>`;
+            renderedRows = new Map();
+            renderedGroupRows = new Map();
+            renderedDetails.forEach(entry => cleanupDetail(entry, true));
+            renderedDetails = new Map();
+            syncActiveCell();
+            return;
+        }
+
+        let rows = state.data;
+        let items = pageItems;
+        if (virtualized) {
+            Object.assign(virtual, getVirtualRange());
+            if (pageItems) items = pageItems.slice(virtual.start, virtual.end);
+            else rows = state.data.slice(virtual.start, virtual.end);
+        }
+
+        const nextRows = new Map();
+        const nextGroupRows = new Map();
+        const nextDetails = new Map();
+        const pendingDetails = [];
+        items ??= rows.map(row => ({ type: 'row', row }));
+        const layout = getColumnLayout();
+        // Rows and group rows with their index into the page, for aria-rowindex.
+        const indexed = [];
+        const firstIndex = virtualized ? virtual.start : 0;
+        const order = items.flatMap((item, index) => {
+            if (item.type !== 'row') {
+                const tr = patchGroupItem(item, nextGroupRows, layout);
+                indexed.push([tr, firstIndex + index]);
+                return [tr];
+            }
+            let key = getRowKey(item.row);
+            // Rows sharing a key would share a <tr>; later duplicates are keyed by their position instead.
+            if (nextRows.has(key)) key = `${key}@${index}`;
+            const entry = patchRow(item.row, renderedRows.get(key), layout);
+            nextRows.set(key, entry);
+            indexed.push([entry.tr, firstIndex + index]);
+            return hasDetails && isRowExpanded(item.row[settings.keyField]) ? [entry.tr, patchDetailRow(item.row, nextDetails, pendingDetails)] : [entry.tr];
+        });
+        if (virtualized) {
+            order.unshift(syncSpacer('top', sumRowHeights(0, virtual.start)));
+            order.push(syncSpacer('bottom', sumRowHeights(virtual.end, getVirtualCount())));
+        }
+        const keep = new Set(order);
+        Array.from(tbody.children).forEach(tr => keep.has(tr) || tr.remove());
+
+        let cursor = tbody.firstElementChild;
+        order.forEach(tr => {
+            if (tr === cursor) cursor = cursor.nextElementSibling;
+            else tbody.insertBefore(tr, cursor);
+        });
+        renderedRows = nextRows;
+        renderedGroupRows = nextGroupRows;
+        const keptDetails = new Set(nextDetails.values());
+        renderedDetails.forEach(entry => keptDetails.has(entry) || cleanupDetail(entry, true));
+        renderedDetails = nextDetails;
+        pendingDetails.forEach(renderDetailContent);
+        const headerRows = elements.thead?.rows.length ?? 0;
+        // Grouped pages start after the rows of the previous pages, which with `paginate: 'groups'` vary in number.
+        const pageOffset = pageRowRange ? Math.max(0, pageRowRange.start - 1)
+            : settings.pagination.enabled ? (state.currentPage - 1) * settings.pagination.pageSize : 0;
+        indexed.forEach(([tr, index]) => tr.setAttribute('aria-rowindex', headerRows + pageOffset + index + 1));
+        syncSelection();
+        syncCellRange();
+        syncActiveCell();
+    };
+
+    /**
+     * @brief Measures the rendered rows of a virtual window and corrects the spacer heights.
+     * @description Only used with `rowHeight: 'auto'`; measured heights replace the estimate for the rows they belong to.
+     */
+    const measureVirtualRows = () => {
+        if (!settings.virtualization.enabled || settings.virtualization.rowHeight !== 'auto' || getVirtualCount() === 0) return;
+        for (let i = virtual.start; i < Math.min(virtual.end, getVirtualCount()); i++) {
+            const item = getVirtualItem(i);
+            if (virtual.measuredHeights.has(item)) continue;
+            const isGroupItem = Boolean(pageItems) && pageItems[i].type !== 'row';
+            const tr = isGroupItem ? renderedGroupRows.get(`${item.type}:${item.group.id}`)?.tr : renderedRows.get(getRowKey(item))?.tr;
+            if (!tr?.offsetHeight) continue;
+            // An expanded row is laid out together with its detail row.
+            const height = tr.offsetHeight + (isGroupItem ? 0 : renderedDetails.get(getRowKey(item))?.tr.offsetHeight ?? 0);
+            virtual.measuredHeights.set(item, height);
+            virtual.measuredTotal += height;
+            virtual.measuredCount++;
+        }
+        const top = elements.tbody.querySelector('[data-spacer="top"] td');
+        const bottom = elements.tbody.querySelector('[data-spacer="bottom"] td');
+        if (top) top.style.height = `${sumRowHeights(0, virtual.start)}px`;
+        if (bottom) bottom.style.height = `${sumRowHeights(virtual.end, getVirtualCount())}px`;
+    };
+
+    /**
+     * @brief Re-renders the virtual window when scrolling has moved it.
+     */
+    const updateVirtualRows = () => {
+        const { start, end } = getVirtualRange();
+        if (start === virtual.start && end === virtual.end) return;
+        patchBody();
+        measureVirtualRows();
+    };
+
+    /**
+     * @brief Renders the pagination controls and information.
+     * @returns {string} HTML string for the pagination section.
+     */
+    const renderPagination = () => {
+        if (!settings.pagination.enabled || state.totalPages <= 1) return '';
+        const startRow = pageRowRange?.start ?? (state.totalCount > 0 ? (state.currentPage - 1) * settings.pagination.pageSize + 1 : 0);
+        const endRow = pageRowRange?.end ?? Math.min(state.currentPage * settings.pagination.pageSize, state.totalCount);
+
+        let pageButtons = '';
+        const pages = new Set([1, state.totalPages, state.currentPage, state.currentPage - 1, state.currentPage + 1]);
+        const sortedPages = Array.from(pages).filter(p => p > 0 && p <= state.totalPages).sort((a, b) => a - b);
+        let lastPage = 0;
+        for (const p of sortedPages) {
+            if (p > lastPage + 1) pageButtons += `<span>...</span>`;
+            pageButtons += `<button data-page="${p}" ${p === state.currentPage ? 'class="active"' : ''}>${getIntl(Intl.NumberFormat)?.format(p) ?? p}</button>`;
+            lastPage = p;
+        }
+
+        return `
+            <span class="info">${sanitize(translate('pageSummary', { showing: translate('showing'), of: translate('of'), start: startRow, end: endRow, count: state.totalCount }))}</span>
+            <div class="controls">
+                <button data-page="prev" ${state.currentPage === 1 ? 'disabled' : ''}>${sanitize(translate('prev'))}</button>
+                ${pageButtons}
+                <button data-page="next" ${state.currentPage >= state.totalPages ? 'disabled' : ''}>${sanitize(translate('next'))}</button>
+            </div>`;
+    };
+
+    /**
+     * @brief Updates the table content by patching the body and re-rendering the pagination if it changed.
+     * @description Refreshes the table UI based on current state (data, filters, sorting, etc.).
+     */
+    const update = () => {
+        if (destroyed) return;
+        logger.log("Updating table content...");
+        emit('beforeRender', { state: getState() });
+        if (elements.tbody) patchBody();
+        measureVirtualRows();
+        renderTableFooter();
+        const pagination = renderPagination();
+        if (elements.pagination && pagination !== renderedPagination) elements.pagination.innerHTML = pagination;
+        renderedPagination = pagination;
+
+        elements.thead?.querySelectorAll(`.${settings.tableClass}-sort-icon`).forEach(icon => {
+            icon.classList.remove('sort-asc', 'sort-desc');
+            delete icon.dataset.sortPriority;
+            icon.closest('th').setAttribute('aria-sort', 'none');
+        });
+        state.sorters.forEach(({ column, order }, index) => {
+            const icon = elements.thead?.querySelector(`[data-sort-column="${CSS.escape(column)}"]`);
+            if (!icon) return;
+            icon.classList.add(`sort-${order}`);
+            if (state.sorters.length > 1) icon.dataset.sortPriority = index + 1;
+            // aria-sort is only meaningful on the primary sort column.
+            if (index === 0) icon.closest('th').setAttribute('aria-sort', order === 'desc' ? 'descending' : 'ascending');
+        });
+        elements.thead?.querySelector('[data-detail-toggle-all]')?.setAttribute('aria-expanded', detailsExpanded && toggledDetails.size === 0);
+        elements.table?.setAttribute('aria-rowcount', state.totalCount + (elements.thead?.rows.length ?? 0));
+        syncFixedLayout();
+        syncPinnedOffsets();
+        announceChanges();
+        persistState();
+        emit('afterRender', { state: getState() });
+    };
+
+    // --- Event Handlers ---
+
+    /**
+     * @brief Cycles a column through ascending, descending and unsorted.
+     * @param {string} columnId The column whose sort icon was clicked.
+     * @param {boolean} additive Whether to add the column to the existing sorters instead of replacing them.
+     * @returns {Array} The new sorters; `state.sorters` is left unchanged.
+     */
+    const getNextSorters = (columnId, additive) => {
+        const sorters = [...state.sorters];
+        const index = sorters.findIndex(sorter => sorter.column === columnId);
+        const current = sorters[index];
+        const order = !current ? 'asc' : current.order === 'asc' ? 'desc' : null;
+
+        if (!additive) return order ? [{ column: columnId, order }] : [];
+        if (!current) sorters.push({ column: columnId, order });
+        else if (order) sorters[index] = { column: columnId, order };
+        else sorters.splice(index, 1);
+        return sorters;
+    };
+
+    /**
+     * @brief Moves to another page, unless a beforePageChange handler vetoes it.
+     * @param {number} page The page to show.
+     * @returns {Promise<void>} Resolves when the page is rendered.
+     */
+    const goToPage = async (page) => {
+        const previousPage = state.currentPage;
+        if (page === previousPage || !emit('beforePageChange', { page, previousPage })) return;
+        state.currentPage = page;
+        await refresh();
+        emit('pageChange', { page: state.currentPage, previousPage });
+    };
+
+    /**
+     * @brief Reads the filter-row controls into filter objects.
+     * @returns {Object} The active filters keyed by column id.
+     */
+    const readFilterInputs = () => {
+        const filters = {};
+        settings.columns.filter(col => col.filterableAndSortable).forEach(col => {
+            const inputs = elements.thead.querySelectorAll(`[data-filter-column="${CSS.escape(col.id)}"]`);
+            // Hidden columns have no filter controls; keep their filters as they are.
+            if (inputs.length === 0) {
+                if (state.filters[col.id]) filters[col.id] = state.filters[col.id];
+                return;
+            }
+            const parts = {};
+            inputs.forEach(input => {
+                parts[input.dataset.filterPart] = input.value;
+            });
+            const filter = normalizeFilter(col, parts);
+            if (isFilterActive(filter)) filters[col.id] = filter;
+        });
+        return filters;
+    };
+
+    /**
+     * @brief Puts the values of `state.filters` back into the filter-row controls that no longer show them.
+     * @description Controls that already match are left alone, so the one being typed in keeps focus and caret.
+     */
+    const syncFilterInputs = () => {
+        elements.thead.querySelectorAll('[data-filter-column]').forEach(input => {
+            const col = settings.columns.find(c => c.id === input.dataset.filterColumn);
+            const filter = normalizeFilter(col, state.filters[col.id]);
+            const value = String(filter[input.dataset.filterPart] ?? '');
+            if (input.value !== value) input.value = value;
+            if (input.dataset.filterPart === 'valueTo') input.hidden = filter.operator !== 'between' && filter.operator !== 'range';
+        });
+    };
+
+    /**
+     * @brief Checks whether an event comes from inside a detail row, whose content belongs to `renderDetail`.
+     * @param {Event} e The event.
+     * @returns {boolean} True if the target is in one of this table's detail rows.
+     */
+    const isDetailEvent = (e) => {
+        const detailRow = e.target.closest?.('[data-detail-row]');
+        return Boolean(detailRow) && elements.tbody.contains(detailRow);
+    };
+
+    /**
+     * @brief Attaches event listeners for sorting, pagination, selection, and column resizing.
+     * @description Handles user interactions like clicking sort icons, pagination buttons, checkboxes, and resize handles.
+     */
+    const attachEventListeners = () => {
+        // Events from detail rows (e.g. a nested table) bubble through this table too; they are left to their owner.
+        const { signal } = lifecycle;
+        const listen = (target, type, handler, options) => target.addEventListener(type, (e) => isDetailEvent(e) || handler(e), { ...options, signal });
+
+        // Image load errors do not bubble, so the fallback of the 'image' renderer is swapped in during capture.
+        listen(elements.wrapper, 'error', (e) => {
+            const img = e.target;
+            if (!img.matches?.('img[data-fallback]')) return;
+            const { fallback } = img.dataset;
+            delete img.dataset.fallback;
+            img.src = fallback;
+        }, { capture: true });
+
+        listen(elements.wrapper, 'click', async (e) => {
+            const target = e.target;
+            const sortIcon = target.closest(`[data-sort-column]`);
+            if (sortIcon) {
+                const { multiple } = settings.sorting;
+                const sorters = getNextSorters(sortIcon.dataset.sortColumn, multiple === 'always' || (multiple === 'shift' && e.shiftKey));
+                if (!emit('beforeSortChange', { sorters, previousSorters: state.sorters })) return;
+                state.sorters = sorters;
+                state.currentPage = 1;
+                await refresh();
+                return emit('sortChange', { sorters: state.sorters });
+            }
+
+            if (target.closest('[data-detail-toggle-all]')) return detailsExpanded && toggledDetails.size === 0 ? collapseAllRows() : expandAllRows();
+            const detailToggle = target.closest('[data-detail-toggle]');
+            if (detailToggle) return setRowExpanded(detailToggle.dataset.detailToggle, detailToggle.getAttribute('aria-expanded') !== 'true');
+
+            const groupToggle = target.closest('[data-group-toggle]');
+            if (groupToggle) return toggleGroup(groupToggle.dataset.groupToggle);
+
+            const pageButton = target.closest('[data-page]');
+            if (pageButton && !pageButton.disabled) {
+                let newPage = pageButton.dataset.page;
+                if (newPage === 'prev') newPage = state.currentPage - 1;
+                else if (newPage === 'next') newPage = state.currentPage + 1;
+                else newPage = parseInt(newPage, 10);
+                return goToPage(newPage);
+            }
+
+            if (settings.selectable) {
+                if (target.closest('[data-select-all]')) handleSelectAll(target.checked);
+                if (target.closest('input[type="checkbox"][data-row-id]')) handleSelectRow(target.dataset.rowId, target.checked, e.shiftKey);
+                if (target.closest('[data-select-matching]')) return selectAllMatching();
+                if (target.closest('[data-clear-selection]')) return changeSelection(new Set());
+            }
+
+            const context = getRowContext(target);
+            if (context) {
+                emit('rowClick', { row: context.row, key: context.row[settings.keyField], originalEvent: e });
+                if (context.col) emit('cellClick', { row: context.row, column: context.col.id, value: getCellValue(context.row, context.col), originalEvent: e });
+            }
+        });
+
+        listen(elements.wrapper, 'dblclick', (e) => {
+            const context = getRowContext(e.target);
+            if (context) emit('rowDoubleClick', { row: context.row, key: context.row[settings.keyField], originalEvent: e });
+
+            const td = e.target.closest(`td.${settings.tableClass}-editable`);
+            if (td && !e.target.closest('[data-editor]')) openEditor(td);
+        });
+
+        listen(elements.wrapper, 'keydown', (e) => {
+            if (e.target.matches('[data-editor]')) {
+                // Tab commits through focusout, like any other way of leaving the editor.
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    commitEditor(true);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    closeEditor(true);
+                }
+                return;
+            }
+            if ((e.key === 'Enter' || e.key === 'F2') && e.target.matches(`td.${settings.tableClass}-editable`)) {
+                e.preventDefault();
+                openEditor(e.target);
+            }
+            if (settings.clipboard && e.target.matches('td[data-column-id]')) {
+                if (e.shiftKey && e.key.startsWith('Arrow')) {
+                    e.preventDefault();
+                    extendCellRange(e.target, e.key);
+                } else if (e.key === 'Escape' && cellRange) {
+                    cellRange = null;
+                    syncCellRange();
+                }
+            }
+            handleGridKeydown(e);
+        });
+
+        listen(elements.table, 'focusin', (e) => {
+            const position = getGridPosition(e.target);
+            if (!position) return;
+            Object.assign(activeCell, position);
+            syncActiveCell();
+        });
+
+        listen(elements.wrapper, 'focusout', (e) => {
+            if (editing && e.target.matches('[data-editor]') && !e.target.closest('td')?.contains(e.relatedTarget)) commitEditor(false, true);
+        });
+
+        if (settings.clipboard) {
+            let selectingRange = false;
+            listen(elements.tbody, 'mousedown', (e) => {
+                if (e.button !== 0 || e.target.closest('input, select, button, a')) return;
+                const position = getCellPosition(e.target.closest('td[data-column-id]'));
+                if (!position) return;
+                cellRange = { anchor: e.shiftKey && cellRange ? cellRange.anchor : position, focus: position };
+                selectingRange = true;
+                syncCellRange();
+            });
+            listen(elements.tbody, 'mouseover', (e) => {
+                if (!selectingRange) return;
+                if (e.buttons !== 1) {
+                    selectingRange = false;
+                    return;
+                }
+                const position = getCellPosition(e.target.closest('td[data-column-id]'));
+                if (!position || (position.key === cellRange.focus.key && position.col === cellRange.focus.col)) return;
+                cellRange = { ...cellRange, focus: position };
+                // Dragging across cells selects cells, not their text.
+                window.getSelection()?.removeAllRanges();
+                syncCellRange();
+            });
+            elements.wrapper.addEventListener('mouseup', () => { selectingRange = false; }, { signal });
+
+            listen(elements.wrapper, 'copy', (e) => {
+                if (editing || e.target.closest?.('input, select, textarea')) return;
+                const bounds = getRangeBounds();
+                const isSingleCell = !bounds || (bounds.top === bounds.bottom && bounds.left === bounds.right);
+                // Leave copying text highlighted inside a single cell to the browser.
+                if (isSingleCell && window.getSelection()?.toString()) return;
+                const content = getClipboardContent();
+                if (!content) return;
+                e.preventDefault();
+                e.clipboardData.setData('text/plain', content.text);
+                e.clipboardData.setData('text/html', content.html);
+            });
+
+            listen(elements.wrapper, 'paste', (e) => {
+                if (editing || e.target.closest?.('input, select, textarea')) return;
+                const bounds = getRangeBounds();
+                if (!bounds || !settings.columns.some(col => col.editable)) return;
+                e.preventDefault();
+                pasteCells(e.clipboardData.getData('text/plain'), bounds.top, bounds.left);
+            });
+        }
+
+        listen(elements.wrapper, 'input', (e) => {
+            if (!e.target.matches('[data-filter-part="operator"]')) return;
+            const isRange = e.target.value === 'between' || e.target.value === 'range';
+            const valueTo = e.target.parentElement.querySelector('[data-filter-part="valueTo"]');
+            if (valueTo) valueTo.hidden = !isRange;
+        });
+
+        listen(elements.wrapper, 'input', debounce(async (e) => {
+            if (e.target.matches('[data-filter-column]')) {
+                const filters = readFilterInputs();
+                if (!emit('beforeFilterChange', { filters, previousFilters: state.filters })) {
+                    syncFilterInputs();
+                    return;
+                }
+                state.filters = filters;
+                state.currentPage = 1;
+                await refresh();
+                emit('filterChange', { filters: state.filters });
+            }
+        }, settings.filtering.debounceMs));
+
+        elements.search?.addEventListener('input', debounce(() => changeSearch(elements.search.value), settings.search.debounceMs), { signal });
+
+        if (settings.virtualization.enabled) {
+            elements.scrollContainer.addEventListener('scroll', () => {
+                if (scrollFrame) return;
+                scrollFrame = requestAnimationFrame(() => {
+                    scrollFrame = null;
+                    updateVirtualRows();
+                });
+            }, { passive: true, signal });
+        }
+
+        if (settings.columnMenu) {
+            const toggle = elements.columnMenu.querySelector('[data-column-menu-toggle]');
+            const panel = elements.columnMenu.querySelector('[data-column-menu-panel]');
+            const setMenuOpen = (open) => {
+                panel.hidden = !open;
+                toggle.setAttribute('aria-expanded', String(open));
+            };
+            toggle.addEventListener('click', () => setMenuOpen(panel.hidden), { signal });
+            panel.addEventListener('change', (e) => {
+                const checkbox = e.target.closest('[data-column-toggle]');
+                if (!checkbox) return;
+                const columnId = checkbox.dataset.columnToggle;
+                setColumnVisibility(columnId, checkbox.checked);
+                // The panel was re-rendered; keep focus on the same checkbox.
+                [...panel.querySelectorAll('[data-column-toggle]')].find(input => input.dataset.columnToggle === columnId)?.focus();
+            }, { signal });
+            elements.columnMenu.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape' || panel.hidden) return;
+                setMenuOpen(false);
+                toggle.focus();
+            }, { signal });
+            elements.columnMenu.addEventListener('focusout', (e) => {
+                if (!elements.columnMenu.contains(e.relatedTarget)) setMenuOpen(false);
+            }, { signal });
+        }
+
+        if (settings.reorderable) {
+            let draggedColumn = null;
+            const clearDropMarkers = () => elements.thead.querySelectorAll('[data-drop]').forEach(th => delete th.dataset.drop);
+            const getDropTarget = (e) => {
+                const th = e.target.closest?.('th[data-column-id]');
+                return draggedColumn && th && th.parentElement === elements.thead.rows[0] ? th : null;
+            };
+            listen(elements.wrapper, 'dragstart', (e) => {
+                const th = e.target.closest?.('th[draggable="true"]');
+                if (!th) return;
+                draggedColumn = th.dataset.columnId;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggedColumn);
+            });
+            listen(elements.wrapper, 'dragover', (e) => {
+                const th = getDropTarget(e);
+                if (!th) return;
+                e.preventDefault();
+                clearDropMarkers();
+                const rect = th.getBoundingClientRect();
+                th.dataset.drop = (e.clientX > rect.left + rect.width / 2) !== isRtl ? 'after' : 'before';
+            });
+            listen(elements.wrapper, 'drop', (e) => {
+                const th = getDropTarget(e);
+                if (!th) return;
+                e.preventDefault();
+                const order = getOrderedColumns().map(col => col.id);
+                const from = order.indexOf(draggedColumn);
+                const to = order.indexOf(th.dataset.columnId) + (th.dataset.drop === 'after' ? 1 : 0);
+                moveColumn(draggedColumn, from < to ? to - 1 : to);
+            });
+            listen(elements.wrapper, 'dragend', () => {
+                draggedColumn = null;
+                clearDropMarkers();
+            });
+        }
+
+        if (settings.resizable) {
+            let resizing = null;
+            const isHandle = (target) => target.matches?.(`.${settings.tableClass}-resize-handle`);
+            listen(elements.wrapper, 'pointerdown', (e) => {
+                if (!isHandle(e.target) || e.button !== 0) return;
+                e.preventDefault();
+                const th = e.target.closest('th');
+                resizing = { th, handle: e.target, pointerId: e.pointerId, startX: e.clientX, startWidth: getRenderedWidth(th) };
+                // Capturing the pointer keeps the move and up events coming to the handle, without document listeners.
+                e.target.setPointerCapture?.(e.pointerId);
+            });
+            listen(elements.wrapper, 'pointermove', (e) => {
+                if (resizing?.pointerId !== e.pointerId) return;
+                // In RTL layouts the handle sits on the left edge, so dragging left widens the column.
+                resizeColumn(resizing.th, resizing.startWidth + (e.clientX - resizing.startX) * (isRtl ? -1 : 1));
+            });
+            const endResize = (e) => {
+                if (resizing?.pointerId !== e.pointerId) return;
+                const { th, handle, startWidth } = resizing;
+                resizing = null;
+                handle.releasePointerCapture?.(e.pointerId);
+                if (parseFloat(th.style.width) !== startWidth) commitColumnWidth(th, startWidth);
+            };
+            listen(elements.wrapper, 'pointerup', endResize);
+            listen(elements.wrapper, 'pointercancel', endResize);
+            listen(elements.wrapper, 'dblclick', (e) => {
+                if (isHandle(e.target)) autofitColumn(e.target.closest('th'));
+            });
+        }
+    };
+
+    /**
+     * @brief Applies the selection state to the rendered rows and the "Select All" checkbox.
+     * @description Toggles classes and checkbox states in place, without re-rendering any rows.
+     */
+    const syncSelection = () => {
+        if (!settings.selectable) return;
+        renderedRows.forEach(({ tr, row }) => {
+            const isSelected = state.selectedRows.has(row[settings.keyField]);
+            tr.classList.toggle('selected', isSelected);
+            tr.setAttribute('aria-selected', String(isSelected));
+            const checkbox = tr.querySelector('input[type="checkbox"][data-row-id]');
+            if (checkbox) checkbox.checked = isSelected;
+        });
+
+        const selectAllCheckbox = elements.thead.querySelector('[data-select-all]');
+        if (selectAllCheckbox) {
+            const selectedOnPage = state.data.filter(row => state.selectedRows.has(row[settings.keyField])).length;
+            selectAllCheckbox.checked = state.data.length > 0 && selectedOnPage === state.data.length;
+            selectAllCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < state.data.length;
+        }
+        renderSelectionBanner();
+    };
+
+    /**
+     * @brief Shows the "select all matching rows" banner when the whole page is selected but more rows match.
+     * @description Client-side, "all matching selected" is checked exactly; server-side it is estimated from the selection size.
+     */
+    const renderSelectionBanner = () => {
+        const banner = elements.selectionBanner;
+        if (!banner) return;
+        const isKeySelected = (row) => state.selectedRows.has(row[settings.keyField]);
+        const pageSelected = selectionMode === 'multi' && state.data.length > 0 && state.data.every(isKeySelected);
+        if (!pageSelected || state.totalCount <= state.data.length) {
+            banner.hidden = true;
+            return;
+        }
+        const allSelected = settings.serverSide ? state.selectedRows.size >= state.totalCount : matchingRows.every(isKeySelected);
+        const format = (key, count) => sanitize(translate(key, { count }));
+        const html = allSelected
+            ? `${format('allMatchingSelected', state.totalCount)} <button type="button" data-clear-selection>${sanitize(translate('clearSelection'))}</button>`
+            : `${format('pageSelected', state.data.length)} <button type="button" data-select-matching>${format('selectAllMatching', state.totalCount)}</button>`;
+        if (banner.innerHTML !== html) banner.innerHTML = html;
+        banner.hidden = false;
+    };
+
+    /**
+     * @brief Selects every row that matches the current filters, not just the current page.
+     * @returns {Promise<void>} Resolves when the selection is updated (server-side, after loading the matching rows).
+     */
+    const selectAllMatching = async () => {
+        try {
+            const rows = await fetchMatchingRows();
+            changeSelection(new Set([...state.selectedRows, ...rows.map(row => row[settings.keyField])]), rows);
+        } catch (error) {
+            if (error?.name === 'AbortError') return;
+            console.error(`[DynamicTable] Error: Failed to load the matching rows.`, error);
+        }
+    };
+
+    /**
+     * @brief Finds the rendered row (and column, if any) an element inside the body belongs to.
+     * @param {Element} target An element inside a data row.
+     * @returns {Object|null} `{ row, col }` where `col` is undefined outside data cells, or null outside data rows.
+     */
+    const getRowContext = (target) => {
+        const tr = target?.closest('tr[data-row-key]');
+        const entry = tr && elements.tbody.contains(tr) ? renderedRows.get(tr.dataset.rowKey) : null;
+        if (!entry) return null;
+        const columnId = target.closest('td[data-column-id]')?.dataset.columnId;
+        return { row: entry.row, col: settings.columns.find(c => c.id === columnId) };
+    };
+
+    /**
+     * @brief Resolves a key read from the DOM (always a string) to the key value used in the data.
+     * @param {string} rowId The key as found in a `data-row-id` or `data-row-key` attribute.
+     * @returns {*} The matching row's `keyField` value, or the string itself if no row on the page has that key.
+     */
+    const findRowKey = (rowId) => {
+        const row = state.data.find(r => String(r[settings.keyField]) === rowId);
+        return row ? row[settings.keyField] : rowId;
+    };
+
+    /**
+     * @brief Handles the "Select All" checkbox interaction.
+     * @param {boolean} checked Whether the select-all checkbox is checked.
+     * @description Selects or deselects all rows on the current page.
+     */
+    const handleSelectAll = (checked) => {
+        const selectedRows = new Set(state.selectedRows);
+        if (checked) state.data.forEach(row => selectedRows.add(row[settings.keyField]));
+        else state.data.forEach(row => selectedRows.delete(row[settings.keyField]));
+        changeSelection(selectedRows);
+    };
+
+    /**
+     * @brief Handles individual row selection.
+     * @param {string} rowId The unique identifier of the row.
+     * @param {boolean} checked Whether the row's checkbox is checked.
+     * @param {boolean} [extendRange] Whether to apply the state to every row between the previous click and this one (multi mode).
+     * @description Updates the selectedRows state and UI for a single row. In single mode, selecting a row deselects the others.
+     */
+    const handleSelectRow = (rowId, checked, extendRange = false) => {
+        const key = findRowKey(rowId);
+        let selectedRows = new Set(state.selectedRows);
+        const anchorIndex = state.data.findIndex(row => row[settings.keyField] === selectionAnchor);
+        const index = state.data.findIndex(row => row[settings.keyField] === key);
+
+        if (selectionMode === 'single') {
+            selectedRows = new Set(checked ? [key] : []);
+        } else if (extendRange && anchorIndex !== -1 && index !== -1) {
+            const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+            state.data.slice(from, to + 1).forEach(row => {
+                if (checked) selectedRows.add(row[settings.keyField]);
+                else selectedRows.delete(row[settings.keyField]);
+            });
+        } else if (checked) {
+            selectedRows.add(key);
+        } else {
+            selectedRows.delete(key);
+        }
+        selectionAnchor = key;
+        changeSelection(selectedRows);
+    };
+
+    /**
+     * @brief Deselects rows that have left the data or can no longer be selected.
+     * @param {Array} keys The keys to deselect.
+     * @description Not cancelable: only selectionChange is emitted, and only if a selected row was dropped.
+     */
+    const dropSelectedRows = (keys) => {
+        const removed = keys.filter(key => state.selectedRows.has(key));
+        if (removed.length === 0) return;
+        const dropped = new Set(removed);
+        state.selectedRows = new Set([...state.selectedRows].filter(key => !dropped.has(key)));
+        removed.forEach(key => selectedRowCache.delete(key));
+        emit('selectionChange', { selectedRows: [...state.selectedRows], added: [], removed });
+    };
+
+    /**
+     * @brief Replaces the selection, unless a beforeSelectionChange handler vetoes it.
+     * @param {Set} selectedRows The new set of selected keys.
+     * @param {Array} [sourceRows] Rows to look newly selected keys up in, besides the current page (used server-side).
+     * @description The UI is synced either way, so a vetoed change also resets the checkboxes.
+     */
+    const changeSelection = (selectedRows, sourceRows = []) => {
+        const added = [...selectedRows].filter(key => !state.selectedRows.has(key));
+        const removed = [...state.selectedRows].filter(key => !selectedRows.has(key));
+        if (added.length === 0 && removed.length === 0) return syncSelection();
+        if (!emit('beforeSelectionChange', { selectedRows: [...selectedRows], added, removed })) return syncSelection();
+        if (settings.serverSide) {
+            [...state.data, ...sourceRows].forEach(row => {
+                if (selectedRows.has(row[settings.keyField])) selectedRowCache.set(row[settings.keyField], row);
+            });
+            removed.forEach(key => selectedRowCache.delete(key));
+        }
+        state.selectedRows = selectedRows;
+        syncSelection();
+        persistState();
+        emit('selectionChange', { selectedRows: [...selectedRows], added, removed });
+    };
+
+    // --- Keyboard Navigation & Announcements ---
+
+    /**
+     * @brief Gets a grid row: the column header row (index -1) or a row of `state.data`.
+     * @param {number} rowIndex The row index.
+     * @returns {Element|null} The `<tr>`, or null if the row is not rendered.
+     */
+    const getGridRow = (rowIndex) => {
+        if (rowIndex < 0) return elements.thead?.rows[0] ?? null;
+        const row = state.data[rowIndex];
+        return row ? renderedRows.get(getRowKey(row))?.tr ?? null : null;
+    };
+
+    /**
+     * @brief Gets the element that takes focus for a grid cell: its sort button, checkbox or expander, or else the cell itself.
+     * @param {Element} cell The `<th>` or `<td>`.
+     * @returns {Element} The focus target.
+     */
+    const getFocusTarget = (cell) => cell.querySelector('[data-sort-column], [data-select-all], input[data-row-id], [data-detail-toggle], [data-detail-toggle-all]') ?? cell;
+
+    /**
+     * @brief Finds the grid position of a focused element.
+     * @param {Element} target An element inside the table.
+     * @returns {Object|null} `{ row, col }`, or null for elements outside the header and data rows (e.g. the filter row).
+     */
+    const getGridPosition = (target) => {
+        const cell = target?.closest('th, td');
+        const tr = cell?.parentElement;
+        if (!tr) return null;
+        if (tr === elements.thead?.rows[0]) return { row: -1, col: cell.cellIndex };
+        if (!tr.dataset.rowKey || !elements.tbody.contains(tr)) return null;
+        const row = state.data.findIndex(item => String(getRowKey(item)) === tr.dataset.rowKey);
+        return row === -1 ? null : { row, col: cell.cellIndex };
+    };
+
+    /**
+     * @brief Applies the roving tabindex: only the active cell is in the tab order.
+     * @description Falls back to the first header cell when the active row is no longer rendered.
+     */
+    const syncActiveCell = () => {
+        if (!elements.table) return;
+        activeCell.row = Math.min(activeCell.row, state.data.length - 1);
+        const cell = getGridRow(activeCell.row)?.cells[activeCell.col] ?? elements.thead?.rows[0]?.cells[0];
+        const target = cell && getFocusTarget(cell);
+        elements.table.querySelectorAll('[tabindex="0"]').forEach(element => {
+            if (element !== target) element.tabIndex = -1;
+        });
+        if (target) target.tabIndex = 0;
+    };
+
+    /**
+     * @brief Moves the active cell and focuses it, scrolling a virtual row into the window first.
+     * @param {number} rowIndex The target row (-1 for the header row); clamped to the page.
+     * @param {number} colIndex The target cell index; clamped to the row.
+     */
+    const moveActiveCell = (rowIndex, colIndex) => {
+        const row = Math.max(-1, Math.min(state.data.length - 1, rowIndex));
+        const index = pageItems && row >= 0 ? pageItems.findIndex(item => item.row === state.data[row]) : row;
+        if (settings.virtualization.enabled && index >= 0 && (index < virtual.start || index >= virtual.end)) {
+            elements.scrollContainer.scrollTop = sumRowHeights(0, index);
+            updateVirtualRows();
+        }
+        const tr = getGridRow(row);
+        if (!tr) return;
+        activeCell.row = row;
+        activeCell.col = Math.max(0, Math.min(tr.cells.length - 1, colIndex));
+        syncActiveCell();
+        getFocusTarget(tr.cells[activeCell.col]).focus();
+    };
+
+    /**
+     * @brief Handles grid navigation keys: arrows, Home/End (with Ctrl for the first and last row), PageUp/PageDown,
+     * Space to toggle row selection, and Alt+ArrowLeft/ArrowRight (or arrows on a focused resize handle) to resize a column.
+     * @param {KeyboardEvent} e The keydown event.
+     */
+    const handleGridKeydown = (e) => {
+        if (e.defaultPrevented || e.target.closest(`.${settings.tableClass}-filter-row`)) return;
+        const position = getGridPosition(e.target);
+        if (!position) return;
+
+        const isResizeHandle = e.target.matches(`.${settings.tableClass}-resize-handle`);
+        if (settings.resizable && position.row === -1 && (isResizeHandle || e.altKey) && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            const th = e.target.closest('th');
+            if (!th.dataset.columnId) return;
+            const step = (e.shiftKey ? 50 : 10) * ((e.key === 'ArrowLeft') !== isRtl ? -1 : 1);
+            const startWidth = getRenderedWidth(th);
+            resizeColumn(th, startWidth + step);
+            commitColumnWidth(th, startWidth);
+            return;
+        }
+
+        if (e.key === ' ' && position.row >= 0 && settings.selectable && !e.target.matches('input, button, select')) {
+            e.preventDefault();
+            const row = state.data[position.row];
+            handleSelectRow(String(row[settings.keyField]), !state.selectedRows.has(row[settings.keyField]));
+            return;
+        }
+
+        if (e.shiftKey || e.altKey) return;
+        const lastCol = (getGridRow(position.row)?.cells.length ?? 1) - 1;
+        const pageStep = 10;
+        const targets = {
+            ArrowUp: [position.row - 1, position.col],
+            ArrowDown: [position.row + 1, position.col],
+            ArrowLeft: [position.row, position.col + (isRtl ? 1 : -1)],
+            ArrowRight: [position.row, position.col + (isRtl ? -1 : 1)],
+            Home: e.ctrlKey ? [-1, 0] : [position.row, 0],
+            End: e.ctrlKey ? [state.data.length - 1, lastCol] : [position.row, lastCol],
+            PageUp: [Math.max(position.row === -1 ? -1 : 0, position.row - pageStep), position.col],
+            PageDown: [position.row + pageStep, position.col],
+        };
+        if (!targets[e.key]) return;
+        e.preventDefault();
+        moveActiveCell(...targets[e.key]);
+    };
+
+    /**
+     * @brief Gets the current width of a header cell.
+     * @param {Element} th The header cell.
+     * @returns {number} The laid-out width in pixels, or the styled pixel width when the table is not laid out.
+     */
+    const getRenderedWidth = (th) => th.offsetWidth || parseFloat(th.style.width) || 0;
+
+    /**
+     * @brief Sets a column's width while it is being resized, within its `minWidth` and `maxWidth`.
+     * @param {Element} th The header cell.
+     * @param {number} width The requested width in pixels.
+     */
+    const resizeColumn = (th, width) => {
+        const { minWidth = 50, maxWidth = Infinity } = settings.columns.find(c => c.id === th.dataset.columnId) ?? {};
+        th.style.width = `${Math.round(Math.min(maxWidth, Math.max(minWidth, width)))}px`;
+        syncFixedLayout();
+    };
+
+    /**
+     * @brief Fits a column to the widest of its rendered cells.
+     * @param {Element} th The header cell.
+     * @description Measures by briefly laying the table out without width constraints on the column; rows outside the
+     * current page (or virtual window) are not measured.
+     */
+    const autofitColumn = (th) => {
+        const { table } = elements;
+        const startWidth = getRenderedWidth(th);
+        const saved = [table.style.width, table.style.tableLayout, th.style.width];
+        table.style.width = 'auto';
+        table.style.tableLayout = 'auto';
+        th.style.width = '';
+        const fittedWidth = th.offsetWidth;
+        [table.style.width, table.style.tableLayout, th.style.width] = saved;
+        if (!fittedWidth) return;
+        resizeColumn(th, fittedWidth);
+        commitColumnWidth(th, startWidth);
+    };
+
+    /**
+     * @brief Stores a header cell's width after a resize and notifies `columnResize` listeners.
+     * @param {Element} th The resized header cell.
+     * @param {number} previousWidth The width in pixels before the resize.
+     */
+    const commitColumnWidth = (th, previousWidth) => {
+        const column = th.dataset.columnId;
+        const width = parseFloat(th.style.width);
+        state.columnWidths[column] = width;
+        syncPinnedOffsets();
+        persistState();
+        emit('columnResize', { column, width, previousWidth });
+    };
+
+    /**
+     * @brief Announces page and result count changes through the live region.
+     * @description The first render only records the baseline, so loading the table is not announced.
+     */
+    const announceChanges = () => {
+        const current = { page: state.currentPage, pages: state.totalPages, count: state.totalCount };
+        const previous = announced;
+        announced = current;
+        if (!previous || !elements.liveRegion) return;
+        const messages = [];
+        if (current.count !== previous.count) messages.push(translate('resultsAnnouncement', current));
+        if (settings.pagination.enabled && (current.page !== previous.page || current.pages !== previous.pages)) {
+            messages.push(translate('pageAnnouncement', current));
+        }
+        if (messages.length > 0) elements.liveRegion.textContent = messages.join('. ');
+    };
+
+    // --- Inline Editing ---
+
+    /**
+     * @brief Resolves the editor type and options of an editable column.
+     * @param {Object} col The column definition.
+     * @returns {Object} `{ type, options }`, with the type derived from `dataType` when no editor is configured.
+     */
+    const getEditorConfig = (col) => {
+        const editor = typeof col.editor === 'string' ? { type: col.editor } : { ...col.editor };
+        const defaultType = { number: 'number', currency: 'number', date: 'date', boolean: 'checkbox' }[col.dataType] ?? 'text';
+        return { ...editor, type: ['text', 'number', 'select', 'checkbox', 'date'].includes(editor.type) ? editor.type : defaultType };
+    };
+
+    /**
+     * @brief Renders the editor control for a cell value.
+     * @param {Object} col The column definition.
+     * @param {*} value The current cell value.
+     * @returns {string} HTML string for the editor.
+     */
+    const renderEditor = (col, value) => {
+        const { type, options } = getEditorConfig(col);
+        const attrs = `class="${settings.tableClass}-editor" data-editor aria-label="${sanitize(translate('editCell', { column: col.caption || col.id }))}"`;
+        if (type === 'checkbox') return `<input type="checkbox" ${attrs} ${toBoolean(value) ? 'checked' : ''}>`;
+        if (type === 'select') {
+            return `<select ${attrs}>${getColumnOptions(col, options).map(([optionValue, label]) =>
+                `<option value="${sanitize(optionValue)}" ${String(optionValue) === String(value ?? '') ? 'selected' : ''}>${sanitize(label)}</option>`
+            ).join('')}</select>`;
+        }
+        if (type === 'date') {
+            const time = toTime(value);
+            return `<input type="date" ${attrs} value="${isNaN(time) ? '' : new Date(time).toISOString().slice(0, 10)}">`;
+        }
+        return `<input type="${type === 'number' ? 'number' : 'text'}" ${attrs} value="${sanitize(value ?? '')}">`;
+    };
+
+    /**
+     * @brief Reads the typed value from an editor control.
+     * @param {Element} input The editor control.
+     * @param {Object} col The column definition.
+     * @returns {*} A boolean for checkboxes, a number (or null) for numbers, otherwise the string value.
+     */
+    const readEditorValue = (input, col) => {
+        const { type } = getEditorConfig(col);
+        if (type === 'checkbox') return input.checked;
+        if (type === 'number') return input.value === '' ? null : Number(input.value);
+        if (type === 'date') return input.value || null;
+        return input.value;
+    };
+
+    /**
+     * @brief Runs a column's validator.
+     * @param {Object} col The column definition.
+     * @param {*} value The value to validate.
+     * @param {Object} row The row being edited.
+     * @returns {string|null} An error message, or null if the value is valid.
+     */
+    const validateCell = (col, value, row) => {
+        if (typeof col.validate !== 'function') return null;
+        const result = col.validate(value, row);
+        if (result === true || result == null) return null;
+        return typeof result === 'string' ? result : translate('invalidValue');
+    };
+
+    /**
+     * @brief Finds the rendered row and column a table cell belongs to.
+     * @param {Element} td The table cell.
+     * @returns {Object|null} `{ row, col }`, or null if the cell is not a data cell.
+     */
+    const getCellContext = (td) => {
+        const context = getRowContext(td);
+        return context?.col ? context : null;
+    };
+
+    /**
+     * @brief Opens the editor in a cell.
+     * @param {Element} td The editable table cell.
+     */
+    const openEditor = (td) => {
+        const context = getCellContext(td);
+        if (!context || !context.col.editable || editing) return;
+        const { row, col } = context;
+        if (typeof col.accessor === 'function') {
+            console.error(`[DynamicTable] Column '${col.id}' uses an accessor function and cannot be edited.`);
+            return;
+        }
+        const value = getCellValue(row, col);
+        if (!emit('beforeCellEdit', { row, column: col.id, value })) return;
+
+        editing = { key: getRowKey(row), col, td };
+        td.classList.add(`${settings.tableClass}-editing`);
+        td.innerHTML = renderEditor(col, value);
+        const input = td.querySelector('[data-editor]');
+        input.focus();
+        input.select?.();
+    };
+
+    /**
+     * @brief Closes the open editor, restoring the cell's rendered content.
+     * @param {boolean} restoreFocus Whether to move focus back to the cell.
+     */
+    const closeEditor = (restoreFocus) => {
+        const { key, col } = editing;
+        editing = null;
+        restoreCell(key, col, restoreFocus);
+    };
+
+    /**
+     * @brief Re-renders a cell that held an editor.
+     * @param {string} key The row key.
+     * @param {Object} col The edited column.
+     * @param {boolean} restoreFocus Whether to move focus back to the cell.
+     */
+    const restoreCell = (key, col, restoreFocus) => {
+        // Forget the cached markup so the next patch replaces the editor with the cell content.
+        const entry = renderedRows.get(key);
+        if (entry) entry.cells = entry.cells.map((html, i) => entry.tr.children[i]?.dataset.columnId === col.id ? null : html);
+        update();
+        if (restoreFocus) renderedRows.get(key)?.tr.querySelector(`td[data-column-id="${CSS.escape(col.id)}"]`)?.focus();
+    };
+
+    /**
+     * @brief Validates and applies the value of the open editor.
+     * @param {boolean} restoreFocus Whether to move focus back to the cell afterwards.
+     * @param {boolean} [revertInvalid] Closes the editor without saving if the value is invalid, for when focus has
+     *        left the cell. Otherwise invalid values keep the editor open with an inline error.
+     * @returns {Promise<void>} Resolves when the table is updated.
+     */
+    const commitEditor = async (restoreFocus, revertInvalid = false) => {
+        const { key, col, td } = editing;
+        const input = td.querySelector('[data-editor]');
+        const rows = getMutableRows();
+        const index = findRowIndex(rows, key);
+        if (!input || index === -1) return closeEditor(restoreFocus);
+
+        const row = rows[index];
+        const newValue = readEditorValue(input, col);
+        const error = validateCell(col, newValue, row);
+        if (error && revertInvalid) return closeEditor(restoreFocus);
+        td.querySelector(`.${settings.tableClass}-cell-error`)?.remove();
+        input.removeAttribute('aria-invalid');
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+            input.insertAdjacentHTML('afterend', `<span class="${settings.tableClass}-cell-error" role="alert">${sanitize(error)}</span>`);
+            return;
+        }
+
+        editing = null;
+        const oldValue = getCellValue(row, col);
+        if (String(oldValue ?? '') !== String(newValue ?? '')) {
+            const updated = setPath(row, col.accessor ?? col.id, newValue);
+            trackChange(key, col, row, newValue);
+            const nextRows = [...rows];
+            nextRows[index] = updated;
+            await applyRows(nextRows);
+            emit('cellEdit', { row: updated, column: col.id, oldValue, newValue });
+        }
+        restoreCell(key, col, restoreFocus);
+    };
+
+    /**
+     * @brief Records an edited value against the row's original value.
+     * @param {string} key The row key.
+     * @param {Object} col The edited column.
+     * @param {Object} row The row before this edit.
+     * @param {*} newValue The new value.
+     * @description Editing a cell back to its original value removes it from the pending changes.
+     */
+    const trackChange = (key, col, row, newValue) => {
+        const change = pendingChanges.get(key) ?? { original: row, columns: new Map() };
+        const originalValue = getCellValue(change.original, col);
+        if (String(originalValue ?? '') === String(newValue ?? '')) change.columns.delete(col.id);
+        else change.columns.set(col.id, { oldValue: originalValue, newValue });
+        if (change.columns.size > 0) pendingChanges.set(key, change);
+        else pendingChanges.delete(key);
+    };
+
+    // --- Clipboard ---
+
+    /**
+     * @brief Finds the position of a data cell.
+     * @param {Element} td The table cell.
+     * @returns {Object|null} `{ key, col }` with the row key and the column index, or null if the cell is not a data cell.
+     */
+    const getCellPosition = (td) => {
+        const context = td && getCellContext(td);
+        return context ? { key: getRowKey(context.row), col: getVisibleColumns().indexOf(context.col) } : null;
+    };
+
+    /**
+     * @brief Gets the page rows and columns covered by the selected cell range.
+     * @returns {Object|null} `{ top, bottom, left, right }` indexes into `state.data` and the columns, or null when no
+     * range is selected or its rows are no longer on the page.
+     */
+    const getRangeBounds = () => {
+        if (!cellRange) return null;
+        const anchorRow = state.data.findIndex(row => getRowKey(row) === cellRange.anchor.key);
+        const focusRow = state.data.findIndex(row => getRowKey(row) === cellRange.focus.key);
+        if (anchorRow === -1 || focusRow === -1) return null;
+        return {
+            top: Math.min(anchorRow, focusRow),
+            bottom: Math.max(anchorRow, focusRow),
+            left: Math.min(cellRange.anchor.col, cellRange.focus.col),
+            right: Math.max(cellRange.anchor.col, cellRange.focus.col),
+        };
+    };
+
+    /**
+     * @brief Highlights the rendered cells of the selected range.
+     */
+    const syncCellRange = () => {
+        const bounds = getRangeBounds();
+        const rowIndexes = new Map(bounds ? state.data.map((row, index) => [getRowKey(row), index]) : []);
+        const columnIndexes = new Map(getVisibleColumns().map((col, index) => [col.id, index]));
+        renderedRows.forEach((entry, key) => {
+            const rowIndex = rowIndexes.get(key) ?? -1;
+            const inRows = bounds && rowIndex >= bounds.top && rowIndex <= bounds.bottom;
+            entry.tr.querySelectorAll('td[data-column-id]').forEach(td => {
+                const colIndex = columnIndexes.get(td.dataset.columnId);
+                td.classList.toggle(`${settings.tableClass}-cell-range`, Boolean(inRows && colIndex >= bounds.left && colIndex <= bounds.right));
+            });
+        });
+    };
+
+    /**
+     * @brief Moves the focus end of the cell range one cell in an arrow key's direction.
+     * @param {Element} td The focused cell.
+     * @param {string} key The arrow key ('ArrowUp', 'ArrowDown', 'ArrowLeft' or 'ArrowRight').
+     */
+    const extendCellRange = (td, key) => {
+        const position = getCellPosition(td);
+        if (!position) return;
+        const isFocus = cellRange && cellRange.focus.key === position.key && cellRange.focus.col === position.col;
+        if (!isFocus) cellRange = { anchor: position, focus: position };
+
+        const [rowStep, colStep] = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, isRtl ? 1 : -1], ArrowRight: [0, isRtl ? -1 : 1] }[key] ?? [0, 0];
+        const rowIndex = state.data.findIndex(row => getRowKey(row) === position.key);
+        const nextRow = state.data[Math.max(0, Math.min(state.data.length - 1, rowIndex + rowStep))];
+        const columns = getVisibleColumns();
+        const nextCol = Math.max(0, Math.min(columns.length - 1, position.col + colStep));
+        cellRange = { ...cellRange, focus: { key: getRowKey(nextRow), col: nextCol } };
+        syncCellRange();
+        renderedRows.get(cellRange.focus.key)?.tr.querySelector(`td[data-column-id="${CSS.escape(columns[nextCol].id)}"]`)?.focus();
+    };
+
+    /**
+     * @brief Builds the clipboard contents for the cell range, or for the selected rows.
+     * @returns {Object|null} `{ text, html }` with tab-separated text and an HTML table, or null if nothing is selected.
+     * @description A multi-cell range takes precedence over row selection. Selected rows are copied with a header row of captions.
+     */
+    const getClipboardContent = () => {
+        const bounds = getRangeBounds();
+        const isMultiCell = bounds && (bounds.bottom > bounds.top || bounds.right > bounds.left);
+        let columns, rows, header = false;
+        if (bounds && (isMultiCell || state.selectedRows.size === 0)) {
+            columns = getVisibleColumns().slice(bounds.left, bounds.right + 1);
+            rows = state.data.slice(bounds.top, bounds.bottom + 1);
+        } else if (state.selectedRows.size > 0) {
+            columns = getVisibleColumns();
+            rows = settings.serverSide ? getSelected() : sortRows(getSelected());
+            header = true;
+        } else {
+            return null;
+        }
+
+        const values = rows.map(row => columns.map(col => formatValue(col, getCellValue(row, col)) ?? ''));
+        const captions = columns.map(col => col.caption || col.id);
+        const quote = (value) => {
+            const text = String(value);
+            return /[\t\r\n"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const text = (header ? [captions, ...values] : values).map(line => line.map(quote).join('\t')).join('\r\n');
+        const head = header ? `<thead><tr>${captions.map(caption => `<th>${sanitize(caption)}</th>`).join('')}</tr></thead>` : '';
+        const body = values.map(line => `<tr>${line.map(value => `<td>${sanitize(value)}</td>`).join('')}</tr>`).join('');
+        return { text, html: `<table>${head}<tbody>${body}</tbody></table>` };
+    };
+
+    /**
+     * @brief Splits pasted tab-separated text into rows of fields, honoring spreadsheet-style quoting.
+     * @param {string} text The pasted text.
+     * @returns {Array} An array of rows, each an array of field strings.
+     */
+    const parseClipboardText = (text) => {
+        const rows = [[]];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === '\t') {
+                rows[rows.length - 1].push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                rows[rows.length - 1].push(field);
+                field = '';
+                rows.push([]);
+            } else {
+                field += char;
+            }
+        }
+        rows[rows.length - 1].push(field);
+        // Spreadsheets end a copied block with a line break; drop the empty row it leaves.
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0] === '') rows.pop();
+        return rows;
+    };
+
+    /**
+     * @brief Converts pasted text into a value for a column, following its editor type.
+     * @param {Object} col The column definition.
+     * @param {string} text The pasted field.
+     * @returns {Object} `{ value }`, or `{ error }` when the text does not fit the editor type.
+     */
+    const parsePastedValue = (col, text) => {
+        const { type, options } = getEditorConfig(col);
+        const trimmed = text.trim();
+        if (type === 'checkbox') return { value: toBoolean(trimmed) };
+        if (type === 'number') {
+            if (trimmed === '') return { value: null };
+            const value = col.dataType === 'currency' || col.format ? toNumber(trimmed) : Number(trimmed);
+            return Number.isFinite(value) ? { value } : { error: translate('notANumber') };
+        }
+        if (type === 'date') {
+            if (trimmed === '') return { value: null };
+            const time = toTime(trimmed);
+            return isNaN(time) ? { error: translate('notADate') } : { value: new Date(time).toISOString().slice(0, 10) };
+        }
+        if (type === 'select') {
+            const option = getColumnOptions(col, options).find(([value, label]) => String(value) === trimmed || String(label) === trimmed);
+            return option ? { value: option[0] } : { error: translate('notAnOption') };
+        }
+        return { value: text };
+    };
+
+    /**
+     * @brief Pastes a block of tab-separated text into editable cells, starting at a cell and filling down and to the right.
+     * @param {string} text The pasted text.
+     * @param {number} rowIndex The page row index of the top-left cell.
+     * @param {number} colIndex The column index of the top-left cell.
+     * @returns {Promise<void>} Resolves when the table is updated.
+     * @description Each value is parsed for its column's editor type and checked by the column's `validate`. Read-only
+     * columns, rows past the end of the page and invalid values are skipped; the `paste` event reports the applied
+     * changes and the rejected values.
+     */
+    const pasteCells = async (text, rowIndex, colIndex) => {
+        const rows = [...getMutableRows()];
+        const columns = getVisibleColumns();
+        const changes = [];
+        const errors = [];
+        parseClipboardText(text).forEach((fields, rowOffset) => {
+            const pageRow = state.data[rowIndex + rowOffset];
+            const index = pageRow ? findRowIndex(rows, pageRow[settings.keyField]) : -1;
+            if (index === -1) return;
+            fields.forEach((field, colOffset) => {
+                const col = columns[colIndex + colOffset];
+                if (!col?.editable || typeof col.accessor === 'function') return;
+                const row = rows[index];
+                const key = getRowKey(row);
+                const parsed = parsePastedValue(col, field);
+                const error = parsed.error ?? validateCell(col, parsed.value, row);
+                if (error) {
+                    errors.push({ key: row[settings.keyField], column: col.id, value: field, error });
+                    return;
+                }
+                const oldValue = getCellValue(row, col);
+                if (String(oldValue ?? '') === String(parsed.value ?? '')) return;
+                if (!emit('beforeCellEdit', { row, column: col.id, value: oldValue })) return;
+                trackChange(key, col, row, parsed.value);
+                rows[index] = setPath(row, col.accessor ?? col.id, parsed.value);
+                changes.push({ index, column: col.id, oldValue, newValue: parsed.value });
+            });
+        });
+
+        if (changes.length > 0) await applyRows(rows);
+        changes.forEach(({ index, column, oldValue, newValue }) => emit('cellEdit', { row: rows[index], column, oldValue, newValue }));
+        if (errors.length > 0) logger.log('Rejected pasted values', errors);
+        emit('paste', { changes: changes.map(({ index, ...change }) => ({ key: rows[index][settings.keyField], ...change })), errors });
+    };
+
+    // --- State Persistence ---
+
+    /**
+     * @brief Reads table state from URL query parameters.
+     * @param {string} prefix The parameter name prefix.
+     * @returns {Object} A partial state with sorters, currentPage, filters and search.
+     */
+    const readUrlState = (prefix) => {
+        const params = new URLSearchParams(location.search);
+        const saved = { filters: {} };
+        const sort = params.get(`${prefix}sort`);
+        if (sort) {
+            saved.sorters = sort.split(',').map(part => {
+                const separator = part.lastIndexOf(':');
+                return separator === -1
+                    ? { column: part, order: 'asc' }
+                    : { column: part.slice(0, separator), order: part.slice(separator + 1) };
+            });
+        }
+        const page = parseInt(params.get(`${prefix}page`), 10);
+        if (page > 0) saved.currentPage = page;
+        saved.search = params.get(`${prefix}q`) ?? '';
+        params.forEach((value, name) => {
+            if (!name.startsWith(`${prefix}f.`)) return;
+            const column = name.slice(prefix.length + 2);
+            saved.filters[column] = {
+                value,
+                operator: params.get(`${prefix}fo.${column}`) ?? undefined,
+                valueTo: params.get(`${prefix}ft.${column}`) ?? undefined,
+            };
+        });
+        return saved;
+    };
+
+    /**
+     * @brief Writes table state to URL query parameters, keeping unrelated parameters.
+     * @param {string} prefix The parameter name prefix.
+     * @param {Object} saved The serialized state.
+     * @description Uses `history.replaceState`, so state changes do not add history entries. Default operators are omitted.
+     */
+    const writeUrlState = (prefix, saved) => {
+        const url = new URL(location.href);
+        const ownParam = /^(sort|page|q|f[ot]?\..+)$/;
+        [...url.searchParams.keys()]
+            .filter(name => name.startsWith(prefix) && ownParam.test(name.slice(prefix.length)))
+            .forEach(name => url.searchParams.delete(name));
+
+        if (saved.sorters.length > 0) url.searchParams.set(`${prefix}sort`, saved.sorters.map(({ column, order }) => `${column}:${order}`).join(','));
+        if (saved.currentPage > 1) url.searchParams.set(`${prefix}page`, saved.currentPage);
+        if (saved.search) url.searchParams.set(`${prefix}q`, saved.search);
+        Object.entries(saved.filters).forEach(([column, filter]) => {
+            const col = settings.columns.find(c => c.id === column) ?? { id: column };
+            url.searchParams.set(`${prefix}f.${column}`, filter.value);
+            if (filter.operator !== getFilterConfig(col).operators[0]) url.searchParams.set(`${prefix}fo.${column}`, filter.operator);
+            if (filter.valueTo) url.searchParams.set(`${prefix}ft.${column}`, filter.valueTo);
+        });
+        // ':' and ',' are safe in a query string; keeping them readable makes shared links easier to understand.
+        url.search = url.searchParams.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+        history.replaceState(history.state, '', url);
+    };
+
+    /**
+     * @brief Resolves the `persistence` option into a storage adapter.
+     * @returns {Object|null} `{ load(), save(state) }`, or null when persistence is off.
+     */
+    const createPersistence = () => {
+        const options = typeof settings.persistence === 'string' ? { storage: settings.persistence } : settings.persistence;
+        if (!options) return null;
+        const key = options.key ?? `dynamic-table-${containerId}`;
+        // A `{ load, save }` object is the adapter itself; `{ storage: adapter }` is accepted as well.
+        const storage = typeof options.load === 'function' ? options : options.storage ?? 'local';
+
+        if (storage === 'url') {
+            const prefix = options.prefix ?? '';
+            return { load: () => readUrlState(prefix), save: (saved) => writeUrlState(prefix, saved) };
+        }
+        if (typeof storage === 'object') {
+            return { load: () => storage.load(key), save: (saved) => storage.save(key, saved) };
+        }
+        return {
+            load: () => JSON.parse(localStorage.getItem(key) ?? 'null'),
+            save: (saved) => localStorage.setItem(key, JSON.stringify(saved)),
+        };
+    };
+    const persistence = createPersistence();
+
+    /**
+     * @brief Saves the current filters, search, sorters, page, column layout and selection through the persistence adapter.
+     * @description Does nothing until the saved state has been restored, so the defaults never overwrite it.
+     */
+    const persistState = () => {
+        if (!persistence || !persistenceReady) return;
+        try {
+            persistence.save({
+                filters: state.filters,
+                search: state.search,
+                sorters: state.sorters,
+                currentPage: state.currentPage,
+                columnWidths: state.columnWidths,
+                columnOrder: state.columnOrder,
+                hiddenColumns: state.hiddenColumns,
+                selectedRows: [...state.selectedRows],
+            });
+        } catch (error) {
+            logger.log("Could not persist table state:", error);
+        }
+    };
+
+    /**
+     * @brief Loads the persisted state and applies it.
+     * @returns {Promise<void>|undefined} A promise when the adapter loads asynchronously, otherwise undefined.
+     */
+    const restoreState = () => {
+        const finish = (saved) => {
+            if (saved) applyState(saved);
+            persistenceReady = true;
+        };
+        let saved;
+        try {
+            saved = persistence.load();
+        } catch (error) {
+            logger.log("Could not restore table state:", error);
+        }
+        if (typeof saved?.then !== 'function') return finish(saved);
+        return saved.then(finish, (error) => {
+            logger.log("Could not restore table state:", error);
+            finish(null);
+        });
+    };
+
+    /**
+     * @brief Merges a partial state into the table state and syncs the header controls.
+     * @param {Object} partial Any of filters, search, sorters, currentPage, columnWidths, columnOrder, hiddenColumns and
+     * selectedRows (an array or Set of keys).
+     * @description Filters are normalized, so plain values and saved filter objects are both accepted. A single `sorter`
+     * (from states saved before multi-column sorting) is used when `sorters` is missing.
+     */
+    const applyState = (partial) => {
+        if (!Array.isArray(partial.sorters) && partial.sorter !== undefined) {
+            partial = { ...partial, sorters: partial.sorter ? [partial.sorter] : [] };
+        }
+        if (partial.filters) {
+            state.filters = Object.fromEntries(Object.entries(partial.filters)
+                .map(([column, filter]) => [column, normalizeFilter(settings.columns.find(c => c.id === column) ?? { id: column }, filter)])
+                .filter(([, filter]) => isFilterActive(filter)));
+        }
+        if (Array.isArray(partial.sorters)) {
+            state.sorters = partial.sorters
+                .filter(sorter => sorter?.column)
+                .map(({ column, order }) => ({ column, order: order === 'desc' ? 'desc' : 'asc' }));
+        }
+        if (typeof partial.search === 'string') {
+            state.search = partial.search;
+            if (elements.search) elements.search.value = partial.search;
+        }
+        if (partial.currentPage) state.currentPage = Math.max(1, parseInt(partial.currentPage, 10) || 1);
+        if (partial.columnWidths) {
+            // Widths are pixel numbers; older saved states stored them as '120px' strings.
+            state.columnWidths = Object.fromEntries(Object.entries(partial.columnWidths)
+                .map(([column, width]) => [column, parseFloat(width)])
+                .filter(([, width]) => Number.isFinite(width)));
+        }
+        if (partial.selectedRows) state.selectedRows = new Set(partial.selectedRows);
+        if (Array.isArray(partial.columnOrder)) state.columnOrder = partial.columnOrder.filter(id => settings.columns.some(col => col.id === id));
+        if (Array.isArray(partial.hiddenColumns)) {
+            const hidden = partial.hiddenColumns.filter(id => settings.columns.some(col => col.id === id && col.hideable !== false));
+            if (hidden.length < settings.columns.length) state.hiddenColumns = hidden;
+        }
+        if (partial.columnOrder || partial.hiddenColumns) return renderColumnHeader();
+
+        const filterRow = elements.thead.querySelector(`.${settings.tableClass}-filter-row`);
+        if (filterRow) filterRow.outerHTML = renderFilterRow();
+        elements.thead.querySelectorAll('th[data-column-id]').forEach(th => {
+            th.style.width = toCssWidth(state.columnWidths[th.dataset.columnId] ?? settings.columns.find(c => c.id === th.dataset.columnId)?.width);
+        });
+    };
+
+    // --- Initialization & Styles ---
+
+    /**
+     * @brief Injects CSS styles for the table, including theming and optional features like borders and stripes.
+     * @description The base sheet is shared by every table with the same `tableClass` and injected once. The rules for
+     * options (bordered, striped, virtualization, fixed layout) go in a sheet of their own, scoped to this table's wrapper
+     * through its `data-dt-id`, so they do not reach other tables or tables nested in detail rows. Theme tokens are
+     * declared on the wrapper, so each table can override them without affecting the others. Skipped with
+     * `injectStyles: false`.
+     */
+    const injectStyles = () => {
+        if (settings.injectStyles === false) return;
+        const baseStyleId = `dynamic-table-base-styles-${settings.tableClass}`;
+        if (!document.getElementById(baseStyleId)) {
+            const style = document.createElement('style');
+            style.id = baseStyleId;
+            style.textContent = getBaseStyles();
+            document.head.appendChild(style);
+        }
+
+        const scope = `.${settings.tableClass}-wrapper[data-dt-id="${CSS.escape(String(containerId))}"]`;
+        const table = `${scope} > .${settings.tableClass}-scroll-container > .${settings.tableClass}`;
+        let css = '';
+        if (settings.bordered) css += `${scope} > .${settings.tableClass}-scroll-container { border: 1px solid var(--dt-border-color); border-radius: 4px; } ${table} > * > tr > th, ${table} > * > tr > td { border-inline-end: 1px solid var(--dt-border-color); } ${table} > * > tr > :last-child { border-inline-end: none; }`;
+        if (settings.virtualization.enabled) css += `${scope} > .${settings.tableClass}-scroll-container { overflow: auto; max-height: ${settings.virtualization.height}; } ${table} > thead { position: sticky; top: 0; z-index: 2; } ${table} > tbody > tr.${settings.tableClass}-virtual-spacer { background: none; } ${table} > tbody > tr.${settings.tableClass}-virtual-spacer > td { padding: 0; border: none; }`;
+        if (settings.tableLayout === 'fixed') css += `${table} { table-layout: fixed; width: auto; } ${table} > tbody > tr > td { overflow: hidden; text-overflow: ellipsis; }`;
+        if (settings.striped) css += `${table} > tbody > tr:nth-child(even):not(.selected) { background-color: var(--dt-stripe-bg); }`;
+        if (!css || document.getElementById(styleId)) return;
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent = css;
+        document.head.appendChild(style);
+    };
+
+    /**
+     * @brief Builds the CSS shared by every table with the current `tableClass`.
+     * @returns {string} The base style sheet, including the light and dark theme tokens.
+     */
+    const getBaseStyles = () => {
+        const darkTokens = `
+            --dt-bg: #1e1e1e; --dt-text-color: #e4e4e4; --dt-muted-color: #9e9e9e; --dt-icon-color: #777; --dt-border-color: #3a3a3a; --dt-input-border-color: #555;
+            --dt-header-bg: #2a2a2a; --dt-hover-bg: #333; --dt-stripe-bg: #242424; --dt-selected-bg: #1d3a5c; --dt-range-bg: #264f78;
+            --dt-primary-color: #4dabf7; --dt-primary-text-color: #111; --dt-error-color: #ff6b6b; --dt-highlight-bg: #6b5b00;
+            --dt-shadow: 0 2px 8px rgba(0, 0, 0, 0.6); color-scheme: dark;`;
+        return `
+            .${settings.tableClass}-wrapper {
+                --dt-bg: #fff; --dt-text-color: #212529; --dt-muted-color: #666; --dt-icon-color: #aaa; --dt-border-color: #e0e0e0; --dt-input-border-color: #ccc;
+                --dt-header-bg: #f5f5f5; --dt-hover-bg: #f0f0f0; --dt-stripe-bg: #f9f9f9; --dt-selected-bg: #e7f3ff; --dt-range-bg: #d2e3fc;
+                --dt-primary-color: #007bff; --dt-primary-text-color: #fff; --dt-error-color: #d93025; --dt-highlight-bg: #fff3a3;
+                --dt-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); --dt-cell-padding: 0.75em;
+            }
+            .${settings.tableClass}-wrapper[data-theme="dark"] { ${darkTokens} }
+            @media (prefers-color-scheme: dark) { .${settings.tableClass}-wrapper[data-theme="auto"] { ${darkTokens} } }
+            .${settings.tableClass}-wrapper.${settings.tableClass}-compact { --dt-cell-padding: 0.35em 0.5em; }
+            .${settings.tableClass}-wrapper.${settings.tableClass}-comfortable { --dt-cell-padding: 1em 1.25em; }
+            .${settings.tableClass}-wrapper { position: relative; color: var(--dt-text-color); }
+            .${settings.tableClass}-scroll-container { overflow-x: auto; }
+            .${settings.tableClass}-wrapper.loading tbody { opacity: 0.5; }
+            .${settings.tableClass} { width: 100%; border-collapse: collapse; text-align: start; background-color: var(--dt-bg); }
+            .${settings.tableClass} th, .${settings.tableClass} td { padding: var(--dt-cell-padding); border-bottom: 1px solid var(--dt-border-color); vertical-align: middle; white-space: nowrap; }
+            .${settings.tableClass} th { font-weight: 600; background: var(--dt-header-bg); position: relative; user-select: none; }
+            .${settings.tableClass}-header-content { display: flex; align-items: center; justify-content: space-between; gap: 0.5em; }
+            .${settings.tableClass} tbody tr:hover { background-color: var(--dt-hover-bg); }
+            .${settings.tableClass} tbody tr.selected { background-color: var(--dt-selected-bg); }
+            .${settings.tableClass}-live-region { position: absolute; width: 1px; height: 1px; margin: -1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+            .${settings.tableClass} th:focus, .${settings.tableClass}-sort-icon:focus-visible, .${settings.tableClass}-resize-handle:focus { outline: 2px solid var(--dt-primary-color); outline-offset: -2px; }
+            .${settings.tableClass}-sort-icon { border: none; background: none; padding: 0; font: inherit; cursor: pointer; min-width: 1em; height: 1em; text-align: center; color: var(--dt-icon-color); white-space: nowrap; }
+            .${settings.tableClass}-sort-icon[data-sort-priority]::after { content: attr(data-sort-priority); font-size: 0.7em; vertical-align: super; color: var(--dt-text-color); }
+            .${settings.tableClass}-sort-icon::before { content: '▲▼'; opacity: 0.3; }
+            .${settings.tableClass}-sort-icon.sort-asc::before { content: '▲'; opacity: 1; color: var(--dt-text-color); }
+            .${settings.tableClass}-sort-icon.sort-desc::before { content: '▼'; opacity: 1; color: var(--dt-text-color); }
+            .${settings.tableClass}-filter-row input, .${settings.tableClass}-filter-row select { width: 100%; box-sizing: border-box; padding: 0.5em; border: 1px solid var(--dt-input-border-color); border-radius: 4px; font-size: 0.9em; color: inherit; background: var(--dt-bg); }
+            .${settings.tableClass}-filter-control { display: flex; gap: 0.25em; }
+            .${settings.tableClass}-filter-control select { width: auto; flex: 0 0 auto; }
+            .${settings.tableClass}-filter-control input { flex: 1 1 4em; min-width: 0; }
+            .${settings.tableClass}-filter-control input[hidden] { display: none; }
+            .${settings.tableClass}-empty { text-align: center; color: var(--dt-muted-color); padding: 2em; }
+            .${settings.tableClass}-pagination { display: flex; justify-content: space-between; align-items: center; margin-top: 1.5em; flex-wrap: wrap; gap: 1em; }
+            .${settings.tableClass}-pagination .controls { display: flex; align-items: center; gap: 0.25em; }
+            .${settings.tableClass}-pagination .controls span { margin: 0 0.5em; }
+            .${settings.tableClass}-pagination button { border: 1px solid var(--dt-input-border-color); background: var(--dt-bg); color: inherit; padding: 0.5em 0.75em; border-radius: 4px; cursor: pointer; }
+            .${settings.tableClass}-pagination button:hover:not(:disabled) { background-color: var(--dt-hover-bg); }
+            .${settings.tableClass}-pagination button:disabled:not(.active) { cursor: not-allowed; opacity: 0.5; }
+            .${settings.tableClass}-pagination button.active { background: var(--dt-primary-color); color: var(--dt-primary-text-color); border-color: var(--dt-primary-color); }
+            .${settings.tableClass}-resize-handle { position: absolute; top: 0; inset-inline-end: 0; width: 8px; height: 100%; cursor: col-resize; touch-action: none; }
+            .${settings.tableClass}-toolbar { display: flex; align-items: center; gap: 0.5em; margin-bottom: 0.5em; }
+            .${settings.tableClass}-search { flex: 0 1 20em; min-width: 0; padding: 0.4em 0.75em; border: 1px solid var(--dt-input-border-color); border-radius: 4px; font: inherit; color: inherit; background: var(--dt-bg); }
+            .${settings.tableClass}-search-match { background: var(--dt-highlight-bg); color: inherit; padding: 0; }
+            .${settings.tableClass}-column-menu { position: relative; margin-inline-start: auto; }
+            .${settings.tableClass}-column-menu > button { border: 1px solid var(--dt-input-border-color); background: var(--dt-bg); color: inherit; padding: 0.4em 0.75em; border-radius: 4px; cursor: pointer; font: inherit; }
+            .${settings.tableClass}-column-menu-panel { position: absolute; top: 100%; inset-inline-end: 0; z-index: 5; display: flex; flex-direction: column; gap: 0.25em; padding: 0.5em 0.75em; background: var(--dt-bg); border: 1px solid var(--dt-border-color); border-radius: 4px; box-shadow: var(--dt-shadow); }
+            .${settings.tableClass}-column-menu-panel[hidden] { display: none; }
+            .${settings.tableClass}-column-menu-panel label { white-space: nowrap; cursor: pointer; }
+            .${settings.tableClass} .${settings.tableClass}-pinned-left, .${settings.tableClass} .${settings.tableClass}-pinned-right { position: sticky; z-index: 1; background-color: var(--dt-bg); }
+            .${settings.tableClass} th.${settings.tableClass}-pinned-left, .${settings.tableClass} th.${settings.tableClass}-pinned-right { z-index: 3; background-color: var(--dt-header-bg); }
+            .${settings.tableClass} tbody tr:hover > .${settings.tableClass}-pinned-left, .${settings.tableClass} tbody tr:hover > .${settings.tableClass}-pinned-right { background-color: var(--dt-hover-bg); }
+            .${settings.tableClass} tbody tr.selected > .${settings.tableClass}-pinned-left, .${settings.tableClass} tbody tr.selected > .${settings.tableClass}-pinned-right { background-color: var(--dt-selected-bg); }
+            .${settings.tableClass} th[draggable="true"] { cursor: grab; }
+            .${settings.tableClass} th[data-drop="before"] { box-shadow: inset 3px 0 0 var(--dt-primary-color); }
+            .${settings.tableClass} th[data-drop="after"] { box-shadow: inset -3px 0 0 var(--dt-primary-color); }
+            .${settings.tableClass}-wrapper[dir="rtl"] th[data-drop="before"] { box-shadow: inset -3px 0 0 var(--dt-primary-color); }
+            .${settings.tableClass}-wrapper[dir="rtl"] th[data-drop="after"] { box-shadow: inset 3px 0 0 var(--dt-primary-color); }
+            .${settings.tableClass}-selection-banner { padding: 0.5em 0.75em; margin-bottom: 0.5em; background: var(--dt-selected-bg); border-radius: 4px; text-align: center; }
+            .${settings.tableClass}-selection-banner[hidden] { display: none; }
+            .${settings.tableClass}-selection-banner button { border: none; background: none; color: var(--dt-primary-color); font: inherit; text-decoration: underline; cursor: pointer; }
+            .${settings.tableClass} td[data-column-id]:focus { outline: 2px solid var(--dt-primary-color); outline-offset: -2px; }
+            .${settings.tableClass} td.${settings.tableClass}-cell-range { background-color: var(--dt-range-bg); }
+            .${settings.tableClass}-editable { cursor: text; }
+            .${settings.tableClass} td.${settings.tableClass}-cell-dirty { box-shadow: inset 3px 0 0 var(--dt-primary-color); }
+            .${settings.tableClass}-wrapper[dir="rtl"] td.${settings.tableClass}-cell-dirty { box-shadow: inset -3px 0 0 var(--dt-primary-color); }
+            .${settings.tableClass} td.${settings.tableClass}-editing { padding: 0.25em; }
+            .${settings.tableClass}-editor { width: 100%; box-sizing: border-box; padding: 0.4em; font: inherit; color: inherit; background: var(--dt-bg); }
+            .${settings.tableClass}-editor[aria-invalid="true"] { border-color: var(--dt-error-color); }
+            .${settings.tableClass}-cell-error { display: block; color: var(--dt-error-color); font-size: 0.8em; white-space: normal; }
+            .${settings.tableClass}-count-badge { display: inline-block; min-width: 1.5em; padding: 0 0.5em; border-radius: 1em; background: var(--dt-header-bg); text-align: center; font-size: 0.85em; }
+            .${settings.tableClass} tbody tr.${settings.tableClass}-group-row { background-color: var(--dt-header-bg); }
+            .${settings.tableClass}-group-toggle { border: none; background: none; padding: 0; margin-inline-end: 0.5em; width: 1em; font: inherit; color: inherit; cursor: pointer; }
+            .${settings.tableClass}-group-toggle::before { content: '▾'; }
+            .${settings.tableClass}-group-toggle[aria-expanded="false"]::before { content: '▸'; }
+            .${settings.tableClass}-wrapper[dir="rtl"] .${settings.tableClass}-group-toggle[aria-expanded="false"]::before { content: '◂'; }
+            .${settings.tableClass}-group-count { margin-inline-start: 0.5em; color: var(--dt-muted-color); }
+            .${settings.tableClass} tr.${settings.tableClass}-group-footer td, .${settings.tableClass} tfoot td { font-weight: 600; }
+            .${settings.tableClass} tfoot td { background: var(--dt-header-bg); border-top: 2px solid var(--dt-border-color); }
+            .${settings.tableClass}-aggregate-label { font-weight: normal; color: var(--dt-muted-color); }
+            .${settings.tableClass}-expander { width: 1em; }
+            .${settings.tableClass}-detail-toggle { border: none; background: none; padding: 0; width: 1em; font: inherit; color: inherit; cursor: pointer; }
+            .${settings.tableClass}-detail-toggle::before { content: '▸'; }
+            .${settings.tableClass}-wrapper[dir="rtl"] .${settings.tableClass}-detail-toggle::before { content: '◂'; }
+            .${settings.tableClass}-detail-toggle[aria-expanded="true"]::before { content: '▾'; }
+            .${settings.tableClass} tbody tr.${settings.tableClass}-detail-row, .${settings.tableClass} tbody tr.${settings.tableClass}-detail-row:hover { background: none; }
+            .${settings.tableClass}-detail-row > td { white-space: normal; padding-inline-start: 2.5em; }
+            .${settings.tableClass}-detail-loading { color: var(--dt-muted-color); }
+            .${settings.tableClass}-cell-image { width: 40px; height: 40px; border-radius: 50%; object-fit: cover; border: 2px solid var(--dt-border-color); }
+            .${settings.tableClass}-badge { display: inline-block; padding: 0.1em 0.6em; margin-inline-end: 0.25em; border-radius: 1em; font-size: 0.85em; background: var(--dt-badge-color, var(--dt-header-bg)); }
+            .${settings.tableClass}-badge[style] { color: var(--dt-primary-text-color); }
+            .${settings.tableClass}-check[data-checked="true"] { color: var(--dt-primary-color); font-weight: 600; }
+            .${settings.tableClass}-check[data-checked="false"] { color: var(--dt-muted-color); }
+            .${settings.tableClass}-progress { display: inline-flex; align-items: center; gap: 0.5em; }
+            .${settings.tableClass}-progress progress { width: 6em; accent-color: var(--dt-primary-color); }
+            .${settings.tableClass}-number { font-variant-numeric: tabular-nums; }
+            .${settings.tableClass}-list { margin: 0; padding: 0; list-style: none; }
+        `;
+    };
+
+    /**
+     * @brief Builds the inline style that applies `theme.variables` to this table's wrapper.
+     * @returns {string} CSS declarations; names without a leading '--' get the `--dt-` prefix.
+     */
+    const getThemeStyle = () => Object.entries(settings.theme.variables ?? {})
+        .map(([name, value]) => `${name.startsWith('--') ? name : `--dt-${name}`}: ${value};`)
+        .join(' ');
+
+    /**
+     * @brief Initializes the table DOM structure and sets up event listeners.
+     * @description Renders the initial table wrapper, scroll container, table, and pagination elements.
+     */
+    const initialRender = () => {
+        isRtl = settings.dir === 'auto'
+            ? (container.closest('[dir]')?.getAttribute('dir') ?? getComputedStyle(container).direction) === 'rtl'
+            : settings.dir === 'rtl';
+        container.innerHTML = `
+            <div class="${settings.tableClass}-wrapper${settings.density !== 'normal' ? ` ${settings.tableClass}-${sanitize(settings.density)}` : ''}"
+                data-dt-id="${sanitize(containerId)}" dir="${isRtl ? 'rtl' : 'ltr'}" data-theme="${sanitize(settings.theme.mode)}" style="${sanitize(getThemeStyle())}">
+                ${settings.search.enabled || settings.columnMenu ? `
+                <div class="${settings.tableClass}-toolbar">
+                    ${settings.search.enabled ? `
+                    <input type="search" class="${settings.tableClass}-search" data-global-search value="${sanitize(state.search)}"
+                        placeholder="${sanitize(translate('searchPlaceholder'))}" aria-label="${sanitize(translate('searchLabel'))}">` : ''}
+                    ${settings.columnMenu ? `
+                    <div class="${settings.tableClass}-column-menu">
+                        <button type="button" data-column-menu-toggle aria-haspopup="true" aria-expanded="false">${sanitize(translate('columns'))}</button>
+                        <div class="${settings.tableClass}-column-menu-panel" data-column-menu-panel hidden>${renderColumnMenu()}</div>
+                    </div>` : ''}
+                </div>` : ''}
+                <div class="${settings.tableClass}-selection-banner" role="status" hidden></div>
+                <div class="${settings.tableClass}-live-region" role="status" aria-live="polite"></div>
+                <div class="${settings.tableClass}-scroll-container">
+                    <table class="${settings.tableClass}" role="grid"${selectionMode === 'multi' ? ' aria-multiselectable="true"' : ''}>
+                        ${renderHeader()}
+                        <tbody></tbody>
+                        ${settings.columns.some(col => col.aggregate) ? '<tfoot></tfoot>' : ''}
+                    </table>
+                </div>
+                <div class="${settings.tableClass}-pagination"></div>
+            </div>`;
+        elements.wrapper = container.querySelector(`.${settings.tableClass}-wrapper`);
+        elements.search = container.querySelector('[data-global-search]');
+        elements.columnMenu = container.querySelector(`.${settings.tableClass}-column-menu`);
+        elements.selectionBanner = container.querySelector(`.${settings.tableClass}-selection-banner`);
+        elements.liveRegion = container.querySelector(`.${settings.tableClass}-live-region`);
+        elements.scrollContainer = container.querySelector(`.${settings.tableClass}-scroll-container`);
+        elements.table = container.querySelector('table');
+        elements.thead = elements.table.querySelector('thead');
+        elements.tbody = elements.table.querySelector('tbody');
+        elements.tfoot = elements.table.querySelector('tfoot');
+        elements.pagination = container.querySelector(`.${settings.tableClass}-pagination`);
+        injectStyles();
+        attachEventListeners();
+    };
+
+    // --- Public API & Execution ---
+
+    /**
+     * @brief Refreshes the table with updated data or state.
+     * @description Processes data (if client-side) or fetches the current page (if server-side) and triggers a UI update.
+     * Stale server requests are aborted, so only the latest refresh updates the table.
+     * @returns {Promise<void>} Resolves when the refresh is complete.
+     */
+    const refresh = async () => {
+        if (destroyed) return;
+        if (settings.serverSide) {
+            if (!(await fetchServerData())) return;
+        } else {
+            processClientData();
+        }
+        update();
+    };
+
+    /**
+     * @brief Updates the table with new data.
+     * @param {Array} newData The new array of data objects.
+     * @description Resets pagination and selection, then refreshes the table.
+     * @returns {Promise<void>} Resolves when the update is complete.
+     */
+    const updateData = async (newData) => {
+        if (settings.serverSide) return;
+        settings.data = Array.isArray(newData) ? newData : [];
+        state.currentPage = 1;
+        dropSelectedRows([...state.selectedRows]);
+        pendingChanges.clear();
+        await refresh();
+    };
+
+    /**
+     * @brief Gets the current state of the table.
+     * @returns {Object} A copy of the table's internal state (data, filters, sorters, etc.). `sorter` mirrors the first
+     * sorter (or null) for code written before multi-column sorting; it is read-only, so change `sorters` instead.
+     */
+    const getState = () => ({ ...state, sorter: state.sorters[0] ? { ...state.sorters[0] } : null });
+
+    /**
+     * @brief Restores part of the table state, e.g. a saved view.
+     * @param {Object} partial Any of filters, search, sorters (or a single `sorter`), currentPage, columnWidths, columnOrder,
+     * hiddenColumns and selectedRows.
+     * @returns {Promise<void>} Resolves when the table is refreshed.
+     */
+    const setState = async (partial = {}) => {
+        applyState(partial);
+        await refresh();
+    };
+
+    /**
+     * @brief Clears filters, search, sorting, column widths and selection, restores the configured column layout and returns to the first page.
+     * @returns {Promise<void>} Resolves when the table is refreshed. The persisted state is overwritten with the defaults.
+     */
+    const resetState = async () => {
+        applyState({ filters: {}, search: '', sorters: [], currentPage: 1, columnWidths: {}, selectedRows: [], ...initialLayout });
+        await refresh();
+    };
+
+    /**
+     * @brief Applies a global search query.
+     * @param {string} query The search text.
+     * @returns {Promise<boolean>} Resolves to false if a `beforeSearchChange` handler vetoed the change.
+     */
+    const changeSearch = async (query) => {
+        const search = String(query ?? '');
+        if (search === state.search) return true;
+        if (!emit('beforeSearchChange', { search, previousSearch: state.search })) {
+            if (elements.search) elements.search.value = state.search;
+            return false;
+        }
+        state.search = search;
+        state.currentPage = 1;
+        await refresh();
+        emit('searchChange', { search: state.search });
+        return true;
+    };
+
+    /**
+     * @brief Sets the global search query, updating the search box.
+     * @param {string} query The search text; an empty string clears the search.
+     * @returns {Promise<void>} Resolves when the table is refreshed.
+     */
+    const setSearch = async (query) => {
+        if (elements.search) elements.search.value = String(query ?? '');
+        await changeSearch(query);
+    };
+
+    // --- Row API ---
+
+    /**
+     * @brief Checks that a keyed row method can be used.
+     * @param {string} method The name of the public method being called.
+     * @returns {boolean} True if `keyField` is configured.
+     */
+    const requireKeyField = (method) => {
+        if (settings.keyField) return true;
+        console.error(`[DynamicTable] '${method}' requires 'keyField' to be configured.`);
+        return false;
+    };
+
+    /**
+     * @brief Finds the index of a row by key, comparing keys as strings so '7' and 7 match.
+     * @param {Array} rows The rows to search.
+     * @param {*} key The key to look for.
+     * @returns {number} The index, or -1 if no row has the key.
+     */
+    const findRowIndex = (rows, key) => rows.findIndex(row => String(row[settings.keyField]) === String(key));
+
+    /**
+     * @brief Gets the rows that keyed mutations apply to.
+     * @returns {Array} The full data set (client-side) or the loaded page (server-side).
+     */
+    const getMutableRows = () => settings.serverSide ? state.data : settings.data;
+
+    /**
+     * @brief Stores mutated rows and re-renders what changed.
+     * @param {Array} rows The new rows.
+     * @param {number} countChange How much the row count changed (used for server-side totals).
+     * @returns {Promise<void>} Resolves when the table is updated.
+     * @description Keeps the current page, sort, filters and selection; row patching only touches the affected rows.
+     */
+    const applyRows = async (rows, countChange = 0) => {
+        if (settings.serverSide) {
+            state.data = rows;
+            state.totalCount = Math.max(0, state.totalCount + countChange);
+            update();
+        } else {
+            settings.data = rows;
+            await refresh();
+        }
+    };
+
+    /**
+     * @brief Gets a row by key.
+     * @param {*} key The row's `keyField` value.
+     * @returns {Object|null} The row, or null if it does not exist (server-side: is not on the loaded page).
+     */
+    const getRow = (key) => {
+        if (!requireKeyField('getRow')) return null;
+        const rows = getMutableRows();
+        return rows[findRowIndex(rows, key)] ?? null;
+    };
+
+    /**
+     * @brief Adds a row.
+     * @param {Object} row The new row. Its key must not exist yet.
+     * @param {number} [index] Where to insert it in the data; appended when omitted.
+     * @returns {Promise<Object|null>} The added row, or null if a row with the same key already exists.
+     */
+    const addRow = async (row, index) => {
+        if (!requireKeyField('addRow')) return null;
+        const rows = [...getMutableRows()];
+        if (findRowIndex(rows, row[settings.keyField]) !== -1) {
+            console.error(`[DynamicTable] A row with key '${row[settings.keyField]}' already exists.`);
+            return null;
+        }
+        rows.splice(index ?? rows.length, 0, row);
+        await applyRows(rows, 1);
+        return row;
+    };
+
+    /**
+     * @brief Updates fields of an existing row.
+     * @param {*} key The row's `keyField` value.
+     * @param {Object} changes The fields to change; they are merged into a copy of the row.
+     * @returns {Promise<Object|null>} The updated row, or null if no row has the key.
+     */
+    const updateRow = async (key, changes) => {
+        if (!requireKeyField('updateRow')) return null;
+        const rows = [...getMutableRows()];
+        const index = findRowIndex(rows, key);
+        if (index === -1) return null;
+        rows[index] = { ...rows[index], ...changes };
+        await applyRows(rows);
+        return rows[index];
+    };
+
+    /**
+     * @brief Replaces the row with the same key, or adds the row if its key is new.
+     * @param {Object} row The complete row.
+     * @returns {Promise<Object>} The stored row.
+     */
+    const upsertRow = async (row) => {
+        if (!requireKeyField('upsertRow')) return null;
+        const rows = [...getMutableRows()];
+        const index = findRowIndex(rows, row[settings.keyField]);
+        if (index === -1) rows.push(row);
+        else rows[index] = row;
+        await applyRows(rows, index === -1 ? 1 : 0);
+        return row;
+    };
+
+    /**
+     * @brief Removes a row and drops it from the selection.
+     * @param {*} key The row's `keyField` value.
+     * @returns {Promise<Object|null>} The removed row, or null if no row has the key.
+     */
+    const removeRow = async (key) => {
+        if (!requireKeyField('removeRow')) return null;
+        const rows = [...getMutableRows()];
+        const index = findRowIndex(rows, key);
+        if (index === -1) return null;
+        const [removed] = rows.splice(index, 1);
+        pendingChanges.delete(String(removed[settings.keyField]));
+        await applyRows(rows, -1);
+        dropSelectedRows([removed[settings.keyField]]);
+        return removed;
+    };
+
+    // --- Change Tracking API ---
+
+    /**
+     * @brief Lists the cells edited since the last commit or revert.
+     * @returns {Array} One `{ key, row, original, changes }` entry per edited row, where `changes` maps column ids to
+     * `{ oldValue, newValue }`.
+     */
+    const getChanges = () => Array.from(pendingChanges, ([key, { original, columns }]) => {
+        const rows = getMutableRows();
+        return {
+            key: original[settings.keyField],
+            row: rows[findRowIndex(rows, key)] ?? null,
+            original,
+            changes: Object.fromEntries(columns),
+        };
+    });
+
+    /**
+     * @brief Accepts the pending edits, e.g. after they were saved to the server.
+     * @returns {Array} The committed changes, in the format of `getChanges()`.
+     */
+    const commitChanges = () => {
+        const changes = getChanges();
+        pendingChanges.clear();
+        update();
+        return changes;
+    };
+
+    /**
+     * @brief Restores the original values of all edited rows.
+     * @returns {Promise<void>} Resolves when the table is updated.
+     */
+    const revertChanges = async () => {
+        const rows = [...getMutableRows()];
+        pendingChanges.forEach(({ original }, key) => {
+            const index = findRowIndex(rows, key);
+            if (index !== -1) rows[index] = original;
+        });
+        pendingChanges.clear();
+        await applyRows(rows);
+    };
+
+    // --- Selection API ---
+
+    /**
+     * @brief Gets the selected rows.
+     * @returns {Array} The full row objects. Client-side they come from the data in data order; server-side, from the pages
+     * and matching-row requests they were selected on.
+     */
+    const getSelected = () => {
+        if (!settings.serverSide) return settings.data.filter(row => state.selectedRows.has(row[settings.keyField]));
+        return [...state.selectedRows].map(key => selectedRowCache.get(key)).filter(Boolean);
+    };
+
+    /**
+     * @brief Replaces the selection.
+     * @param {Array} keys The keys to select; '7' and 7 both match a row keyed 7. In single mode only the first key is used.
+     */
+    const setSelected = (keys = []) => {
+        if (!settings.selectable) return;
+        const rows = settings.serverSide ? [...state.data, ...selectedRowCache.values()] : settings.data;
+        const keyLookup = new Map(rows.map(row => [String(row[settings.keyField]), row[settings.keyField]]));
+        const resolved = [...keys].map(key => keyLookup.has(String(key)) ? keyLookup.get(String(key)) : key);
+        changeSelection(new Set(selectionMode === 'single' ? resolved.slice(0, 1) : resolved));
+    };
+
+    /**
+     * @brief Deselects all rows.
+     */
+    const clearSelection = () => changeSelection(new Set());
+
+    // --- Column API ---
+
+    /**
+     * @brief Gets the column layout.
+     * @returns {Array} `{ id, caption, visible, pinned, width }` for every column, in display order.
+     */
+    const getColumns = () => getOrderedColumns().map(col => ({
+        id: col.id,
+        caption: col.caption || col.id,
+        visible: !state.hiddenColumns.includes(col.id),
+        pinned: col.pinned ?? null,
+        width: state.columnWidths[col.id] ?? col.width ?? null,
+    }));
+
+    /**
+     * @brief Shows or hides a column.
+     * @param {string} columnId The column id.
+     * @param {boolean} visible Whether the column should be shown. The last visible column cannot be hidden.
+     */
+    const setColumnVisibility = (columnId, visible) => {
+        const col = settings.columns.find(c => c.id === columnId);
+        if (!col) return console.error(`[DynamicTable] Unknown column '${columnId}'.`);
+        if (visible === !state.hiddenColumns.includes(columnId)) return;
+        if (!visible && (col.hideable === false || getVisibleColumns().length === 1)) {
+            console.error(`[DynamicTable] Column '${columnId}' cannot be hidden.`);
+            return;
+        }
+        state.hiddenColumns = visible ? state.hiddenColumns.filter(id => id !== columnId) : [...state.hiddenColumns, columnId];
+        renderColumnHeader();
+        update();
+        emit('columnVisibilityChange', { column: columnId, visible });
+    };
+
+    /**
+     * @brief Moves a column to a new position.
+     * @param {string} columnId The column id.
+     * @param {number} toIndex The target index in the order returned by `getColumns()`. Pinned columns stay in their
+     * pinned group, so a move across a group boundary stops at its edge.
+     */
+    const moveColumn = (columnId, toIndex) => {
+        const order = getOrderedColumns().map(col => col.id);
+        const fromIndex = order.indexOf(columnId);
+        if (fromIndex === -1) return console.error(`[DynamicTable] Unknown column '${columnId}'.`);
+        const target = Math.max(0, Math.min(order.length - 1, toIndex));
+        if (target === fromIndex) return;
+        order.splice(fromIndex, 1);
+        order.splice(target, 0, columnId);
+        state.columnOrder = order;
+        renderColumnHeader();
+        update();
+        emit('columnMove', { column: columnId, fromIndex, toIndex: getOrderedColumns().findIndex(col => col.id === columnId) });
+    };
+
+    // --- Grouping API ---
+
+    /**
+     * @brief Collapses or expands one group.
+     * @param {string} groupId The group id (the JSON-encoded values of the group and its parents).
+     * @returns {Promise<void>} Resolves when the table is refreshed.
+     */
+    const toggleGroup = async (groupId) => {
+        const findToggle = () => Array.from(elements.tbody.querySelectorAll('[data-group-toggle]')).find(button => button.dataset.groupToggle === groupId);
+        const hadFocus = document.activeElement === findToggle();
+        if (toggledGroups.has(groupId)) toggledGroups.delete(groupId);
+        else toggledGroups.add(groupId);
+        await refresh();
+        if (hadFocus) findToggle()?.focus();
+        emit('groupToggle', { group: JSON.parse(groupId), collapsed: isGroupCollapsed(groupId) });
+    };
+
+    /**
+     * @brief Changes the grouping columns.
+     * @param {string|Array} columnIds Column id(s), outermost first; an empty array removes grouping.
+     * @returns {Promise<void>} Resolves when the table is refreshed. Groups return to their default collapsed state.
+     */
+    const setGroupBy = async (columnIds) => {
+        if (settings.serverSide) return console.error(`[DynamicTable] 'groupBy' is only supported for client-side data.`);
+        settings.groupBy = [].concat(columnIds ?? []);
+        toggledGroups.clear();
+        state.currentPage = 1;
+        await refresh();
+    };
+
+    /**
+     * @brief Expands every group.
+     * @returns {Promise<void>} Resolves when the table is refreshed.
+     */
+    const expandAllGroups = async () => {
+        settings.grouping.collapsed = false;
+        toggledGroups.clear();
+        await refresh();
+    };
+
+    /**
+     * @brief Collapses every group.
+     * @returns {Promise<void>} Resolves when the table is refreshed.
+     */
+    const collapseAllGroups = async () => {
+        settings.grouping.collapsed = true;
+        toggledGroups.clear();
+        await refresh();
+    };
+
+    // --- Detail Rows API ---
+
+    /**
+     * @brief Expands or collapses the detail row of a row.
+     * @param {*} rowId The row's `keyField` value.
+     * @param {boolean} expanded Whether the detail row should be shown.
+     */
+    const setRowExpanded = (rowId, expanded) => {
+        if (!hasDetails || isRowExpanded(rowId) === expanded) return;
+        const key = String(rowId);
+        const button = Array.from(elements.tbody.querySelectorAll('[data-detail-toggle]')).find(toggle => toggle.dataset.detailToggle === key);
+        const hadFocus = Boolean(button) && document.activeElement === button;
+        if (toggledDetails.has(key)) toggledDetails.delete(key);
+        else toggledDetails.add(key);
+
+        const row = renderedRows.get(key)?.row ?? null;
+        if (row && virtual.measuredHeights.has(row)) {
+            virtual.measuredTotal -= virtual.measuredHeights.get(row);
+            virtual.measuredCount--;
+            virtual.measuredHeights.delete(row);
+        }
+        update();
+        if (hadFocus) renderedRows.get(key)?.tr.querySelector('[data-detail-toggle]')?.focus();
+        emit('detailToggle', { key: row ? row[settings.keyField] : rowId, row, expanded });
+    };
+
+    /**
+     * @brief Shows the detail row of a row.
+     * @param {*} key The row's `keyField` value.
+     */
+    const expandRow = (key) => setRowExpanded(key, true);
+
+    /**
+     * @brief Hides the detail row of a row.
+     * @param {*} key The row's `keyField` value.
+     */
+    const collapseRow = (key) => setRowExpanded(key, false);
+
+    /**
+     * @brief Expands every row, including rows on other pages.
+     */
+    const expandAllRows = () => {
+        if (!hasDetails) return;
+        detailsExpanded = true;
+        toggledDetails.clear();
+        update();
+    };
+
+    /**
+     * @brief Collapses every row.
+     */
+    const collapseAllRows = () => {
+        if (!hasDetails) return;
+        detailsExpanded = false;
+        toggledDetails.clear();
+        update();
+    };
+
+    // --- Export API ---
+
+    /**
+     * @brief Gets the rows of an export scope, in the current sort order.
+     * @param {string} scope 'page', 'filtered', 'all' or 'selected'.
+     * @returns {Promise<Array>} The rows. Server-side, 'filtered' and 'all' load them from the data source page by page.
+     */
+    const getExportRows = async (scope) => {
+        switch (scope) {
+            case 'page': return state.data;
+            case 'filtered': return fetchMatchingRows();
+            case 'selected': return settings.serverSide ? getSelected() : sortRows(getSelected());
+            case 'all': {
+                if (!settings.serverSide) return sortRows([...settings.data]);
+                return fetchMatchingRows({ filters: {}, search: '' });
+            }
+            default: throw new Error(`Unknown export scope '${scope}'.`);
+        }
+    };
+
+    /**
+     * @brief Exports table rows as a CSV, TSV, JSON or XLSX file.
+     * @param {Object} [options] Export options.
+     * @param {string} [options.format] 'csv' (default), 'tsv', 'json' or 'xlsx'.
+     * @param {string} [options.scope] 'page', 'filtered' (default: every row matching the filters), 'all' or 'selected'.
+     * @param {Array} [options.columns] Column ids to export, in order. Defaults to the visible columns without `exportable: false`.
+     * @param {string} [options.values] 'formatted' (default: the displayed text, e.g. joined arrays) or 'raw' (the accessed value).
+     *        A column's `exportValue` ('raw', 'formatted' or a `(value, row) => value` function) takes precedence.
+     * @param {boolean} [options.download] Whether to download the file. Defaults to true; the Blob is returned either way.
+     * @param {string} [options.filename] The download name. Defaults to the container id with the format's extension.
+     * @description Further options (`delimiter`, `bom`, `escapeFormulas`, `sheetName`) are passed to the file writer.
+     * @returns {Promise<Blob|null>} The file, or null if the export failed.
+     */
+    const exportData = async (options = {}) => {
+        const { format = 'csv', scope = 'filtered', columns, values = 'formatted', download = true, filename, ...fileOptions } = options;
+        try {
+            const exportColumns = columns
+                ? columns.map(id => settings.columns.find(col => col.id === id) ?? { id })
+                : getVisibleColumns().filter(col => col.exportable !== false);
+            const rows = await getExportRows(scope);
+            const records = rows.map(row => exportColumns.map(col => {
+                const value = getCellValue(row, col);
+                const mode = col.exportValue ?? values;
+                if (typeof mode === 'function') return mode(value, row);
+                return mode === 'raw' ? value : formatValue(col, value);
+            }));
+            const blob = createExportBlob(format, exportColumns.map(col => ({ id: col.id, caption: col.caption ?? col.id })), records, fileOptions);
+
+            if (download) {
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename ?? `${containerId}.${format}`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+            }
+            return blob;
+        } catch (error) {
+            if (error?.name !== 'AbortError') console.error(`[DynamicTable] Error: Export failed.`, error);
+            return null;
+        }
+    };
+
+    // --- Lifecycle API ---
+
+    /**
+     * @brief Removes the table's DOM, listeners and styles and resets the render caches.
+     * @description Pending debounced input handlers, animation frames and loads of the matching rows are cancelled and
+     * detail rows are cleaned up.
+     * State, data and `on()` handlers are kept.
+     */
+    const unmount = () => {
+        lifecycle.abort();
+        abortMatchingRequests();
+        lifecycle = new AbortController();
+        debouncedHandlers.forEach(handler => handler.cancel());
+        debouncedHandlers.clear();
+        if (scrollFrame) cancelAnimationFrame(scrollFrame);
+        scrollFrame = null;
+        renderedDetails.forEach(entry => cleanupDetail(entry, true));
+        document.getElementById(styleId)?.remove();
+        container.innerHTML = '';
+        // The shared base sheet goes with the last table that uses it.
+        if (!document.querySelector(`.${settings.tableClass}-wrapper`)) {
+            document.getElementById(`dynamic-table-base-styles-${settings.tableClass}`)?.remove();
+        }
+        Object.keys(elements).forEach(name => { elements[name] = null; });
+        renderedRows = new Map();
+        renderedGroupRows = new Map();
+        renderedDetails = new Map();
+        renderedPagination = null;
+        renderedFooter = null;
+        editing = null;
+        cellRange = null;
+        announced = null;
+    };
+
+    /**
+     * @brief Replaces the column definitions, keeping the state of columns that still exist.
+     * @param {Array} columns The new column definitions.
+     * @returns {boolean} False if the definitions are invalid; nothing is changed then.
+     * @description Known columns keep their position, visibility, width, filter and sort; new columns are appended.
+     */
+    const applyColumns = (columns) => {
+        if (!Array.isArray(columns) || columns.length === 0) {
+            console.error(`[DynamicTable] Columns must be a non-empty array of column definitions.`);
+            return false;
+        }
+        if (columns.some(col => col.editable) && !settings.keyField) {
+            console.error(`[DynamicTable] 'keyField' must be configured when a column is editable.`);
+            return false;
+        }
+        const ids = new Set(columns.map(col => col.id));
+        const known = new Set(settings.columns.map(col => col.id));
+        const keep = (id) => ids.has(id);
+        settings.columns = columns;
+
+        state.columnOrder = [...state.columnOrder.filter(keep), ...columns.map(col => col.id).filter(id => !state.columnOrder.includes(id))];
+        state.hiddenColumns = [...state.hiddenColumns.filter(keep), ...columns.filter(col => col.hidden && !known.has(col.id)).map(col => col.id)];
+        if (state.hiddenColumns.length >= columns.length) state.hiddenColumns = [];
+        state.columnWidths = Object.fromEntries(Object.entries(state.columnWidths).filter(([id]) => keep(id)));
+        state.filters = Object.fromEntries(Object.entries(state.filters).filter(([id]) => keep(id)));
+        state.sorters = state.sorters.filter(({ column }) => keep(column));
+        initialLayout.columnOrder = columns.map(col => col.id);
+        initialLayout.hiddenColumns = columns.filter(col => col.hidden).map(col => col.id);
+        return true;
+    };
+
+    /**
+     * @brief Replaces the column definitions of the live table.
+     * @param {Array} columns The new column definitions, in the same format as `config.columns`.
+     * @returns {Promise<void>} Resolves when the table is re-rendered. Columns that still exist keep their layout, filter and sort.
+     */
+    const setColumns = async (columns) => {
+        if (!applyColumns(columns)) return;
+        unmount();
+        initialRender();
+        await refresh();
+    };
+
+    /**
+     * @brief Changes options of the live table and re-renders it.
+     * @param {Object} options Any `config` options. Object options (pagination, filtering, sorting, virtualization, search,
+     * grouping, theme, locale) are merged into the current ones; `columns` behaves like `setColumns` and `data` like `updateData`.
+     * @returns {Promise<void>} Resolves when the table is re-rendered.
+     * @description `keyField`, `serverSide`, `dataSource` and `persistence` are fixed when the table is created; create a
+     * new table to change them.
+     */
+    const setOptions = async (options = {}) => {
+        const { columns, data, ...rest } = options;
+        const fixed = ['keyField', 'serverSide', 'dataSource', 'persistence'].filter(name => name in rest && rest[name] !== settings[name]);
+        if (fixed.length > 0) {
+            console.error(`[DynamicTable] ${fixed.map(name => `'${name}'`).join(', ')} cannot be changed after creation.`);
+        }
+        if (columns && !applyColumns(columns)) return;
+
+        const merged = ['pagination', 'filtering', 'virtualization', 'search', 'grouping', 'theme', 'locale'];
+        Object.entries(rest).forEach(([name, value]) => {
+            if (fixed.includes(name)) return;
+            if (name === 'sorting') {
+                settings.sorting = { ...settings.sorting, ...value, collation: { ...settings.sorting.collation, ...value?.collation } };
+            } else if (name === 'theme' && typeof value === 'string') {
+                settings.theme = { ...settings.theme, mode: value };
+            } else if (name === 'search' && typeof value === 'boolean') {
+                settings.search = { ...settings.search, enabled: value };
+            } else if (name === 'groupBy') {
+                settings.groupBy = [].concat(value ?? []);
+                toggledGroups.clear();
+            } else if (merged.includes(name) && value && typeof value === 'object') {
+                settings[name] = { ...settings[name], ...value };
+            } else {
+                settings[name] = value;
+            }
+        });
+
+        if ('selectable' in rest) {
+            selectionMode = rest.selectable === true ? 'multi' : ['single', 'multi'].includes(rest.selectable) ? rest.selectable : 'none';
+            if (selectionMode !== 'none' && !settings.keyField) {
+                console.error(`[DynamicTable] 'keyField' must be configured when 'selectable' is true.`);
+                selectionMode = 'none';
+            }
+            settings.selectable = selectionMode !== 'none';
+            if (selectionMode === 'none') dropSelectedRows([...state.selectedRows]);
+            if (selectionMode === 'single') dropSelectedRows([...state.selectedRows].slice(1));
+        }
+        if ('renderDetail' in rest) {
+            if (settings.renderDetail && !settings.keyField) {
+                console.error(`[DynamicTable] 'keyField' must be configured when 'renderDetail' is set.`);
+                settings.renderDetail = null;
+            }
+            hasDetails = typeof settings.renderDetail === 'function';
+        }
+        if ('lang' in rest) {
+            try {
+                Intl.getCanonicalLocales(settings.lang ?? []);
+            } catch {
+                console.error(`[DynamicTable] Invalid 'lang' '${settings.lang}', using the browser's language.`);
+                settings.lang = undefined;
+            }
+        }
+        if (settings.serverSide && settings.groupBy.length > 0) {
+            console.error(`[DynamicTable] 'groupBy' is only supported for client-side data and is ignored.`);
+            settings.groupBy = [];
+        }
+        if (data !== undefined && !settings.serverSide) {
+            settings.data = Array.isArray(data) ? data : [];
+            dropSelectedRows([...state.selectedRows]);
+            pendingChanges.clear();
+        }
+
+        unmount();
+        initialRender();
+        await refresh();
+    };
+
+    /**
+     * @brief Destroys the table: removes its DOM, listeners and injected styles, cancels pending filter and search input
+     * and aborts a running server request.
+     * @description Emits `destroy` first, then removes every `on()` handler. The instance must not be used afterwards.
+     */
+    const destroy = () => {
+        if (destroyed) return;
+        emit('destroy');
+        destroyed = true;
+        pendingRequest?.abort();
+        unmount();
+        listeners.clear();
+    };
+
+    // --- Events API ---
+
+    /**
+     * @brief Subscribes to a table event.
+     * @param {string} event The event name, e.g. 'sortChange' or 'beforePageChange'.
+     * @param {Function} handler Called with the event payload.
+     * @returns {Function} A function that unsubscribes the handler.
+     */
+    const on = (event, handler) => {
+        if (!listeners.has(event)) listeners.set(event, new Set());
+        listeners.get(event).add(handler);
+        return () => off(event, handler);
+    };
+
+    /**
+     * @brief Unsubscribes from a table event.
+     * @param {string} event The event name.
+     * @param {Function} [handler] The handler to remove; all handlers of the event are removed when omitted.
+     */
+    const off = (event, handler) => {
+        if (handler) listeners.get(event)?.delete(handler);
+        else listeners.delete(event);
+    };
+
+    logger.log("Initializing table...");
+    initialRender();
+    const restoring = persistence ? restoreState() : undefined;
+    if (restoring) restoring.then(refresh);
+    else refresh();
+
+    return {
+        refresh, updateData, getState, setState, resetState, setSearch, on, off,
+        getSelected, setSelected, clearSelection, export: exportData,
+        getColumns, setColumnVisibility, moveColumn,
+        setGroupBy, expandAllGroups, collapseAllGroups,
+        expandRow, collapseRow, expandAllRows, collapseAllRows,
+        setColumns, setOptions, destroy,
+        getRow, addRow, updateRow, upsertRow, removeRow,
+        getChanges, commitChanges, revertChanges,
+    };
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+const brand = Symbol('dynamic-table.template');
+
+/**
+ * Escapes text for HTML content and quoted attribute values.
+ * @brief Replaces the characters that could start markup or end an attribute.
+ * @param {*} value The value to escape. null and undefined become ''.
+ * @returns {string} The escaped text.
+ */
+export function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Tags a template literal as cell or detail markup.
+ * @brief Interpolated values are escaped unless they are themselves `html` or `unsafeHTML` results.
+ * @example html`<a href="/users/${row.UserName}">${row.FirstName}</a>`
+ * @param {string[]} strings The literal parts of the template.
+ * @param {...*} values The interpolated values. Arrays are concatenated, DOM nodes are inserted as they are, and
+ *        null, undefined and false render nothing.
+ * @returns {Object} A template result for `render`, `renderDetail` or another template.
+ */
+export function html(strings, ...values) {
+    return Object.freeze({ [brand]: 'html', strings, values });
+}
+
+/**
+ * Marks a string as trusted markup.
+ * @brief Opts out of escaping, for markup that has been sanitized elsewhere or never contains user data.
+ * @param {string} markup The HTML to insert as it is.
+ * @returns {Object} A template result for `render`, `renderDetail` or an `html` template.
+ */
+export function unsafeHTML(markup) {
+    return Object.freeze({ [brand]: 'unsafe', markup: String(markup ?? '') });
+}
+
+/**
+ * Checks whether a value was created by `html` or `unsafeHTML`.
+ * @brief Lets renderers tell template results apart from plain objects.
+ * @param {*} value The value to check.
+ * @returns {boolean} True for template results.
+ */
+export function isTemplateResult(value) {
+    return value != null && typeof value === 'object' && brand in value;
+}
+
+/**
+ * Checks a URL before it is used in a link or image.
+ * @brief Rejects URLs whose scheme could run script, such as `javascript:`.
+ * @param {*} url The URL.
+ * @param {boolean} [allowImages] Also accept `data:image/` URLs.
+ * @returns {string} The trimmed URL when it is relative or uses http(s), mailto or tel; otherwise ''.
+ * @description The scheme is read the way browsers read it, after dropping the control characters and whitespace they
+ * ignore, so `java\tscript:` or `\x01javascript:` are caught too.
+ */
+export function safeUrl(url, allowImages = false) {
+    const text = String(url ?? '').trim();
+    const normalized = text.replace(/[\u0000-\u0020\u007F]/g, '');
+    let protocol;
+    try {
+        // Relative URLs resolve against an http base; only URLs with their own scheme can change the protocol.
+        ({ protocol } = new URL(normalized, 'http://localhost/'));
+    } catch {
+        return '';
+    }
+    if (['http:', 'https:', 'mailto:', 'tel:'].includes(protocol)) return text;
+    return allowImages && protocol === 'data:' && /^data:image\//i.test(normalized) ? text : '';
+}
+
+/**
+ * Converts renderer output into an HTML string.
+ * @brief Escapes plain values, keeps template results and serializes DOM nodes through a callback.
+ * @param {*} content A template result, a primitive, a DOM node or an array of these.
+ * @param {Function} [toSlot] Called with each DOM node; returns the markup that stands in for it until the node is
+ *        inserted. Without it, nodes are rendered as their escaped text.
+ * @returns {string} The markup.
+ */
+export function renderHTML(content, toSlot) {
+    if (content == null || content === false) return '';
+    if (Array.isArray(content)) return content.map(item => renderHTML(item, toSlot)).join('');
+    if (isTemplateResult(content)) {
+        if (content[brand] === 'unsafe') return content.markup;
+        return content.strings.reduce((markup, string, i) =>
+            markup + string + (i < content.values.length ? renderHTML(content.values[i], toSlot) : ''), '');
+    }
+    if (typeof Node !== 'undefined' && content instanceof Node) return toSlot ? toSlot(content) : escapeHTML(content.textContent);
+    return escapeHTML(content);
+}
@@ -1,10 +1,15 @@
+const path = require("path");
 const express = require("express");
 const { createProxyMiddleware } = require("http-proxy-middleware");
 
 const app = express();
 
-// Serve static files
+// Serve static files, and the table modules under /lib (only the modules, not the rest of the component folder)
 app.use(express.static("public"));
+const modules = ["table.js", "template.js", "values.js", "odata.js", "export.js"];
+modules.forEach((file) => {
+  app.get(`/lib/${file}`, (req, res) => res.sendFile(path.join(__dirname, "..", file)));
+});
 
 // Proxy to correct OData root
 app.use(
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExportBlob } from '../../export.js';
+
+const columns = [{ id: 'name', caption: 'Name' }, { id: 'note' }, { id: 'count' }];
+
+// `zlib.crc32` needs Node 20.15 or 22.2, so the expected checksums are computed here.
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (bytes) => (bytes.reduce((crc, byte) => crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8), 0xffffffff) ^ 0xffffffff) >>> 0;
+
+/**
+ * Reads the stored entries of a ZIP archive through its central directory, checking each CRC.
+ */
+const readZip = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const entries = new Map();
+    let at = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        assert.equal(view.getUint32(at, true), 0x02014b50);
+        const crc = view.getUint32(at + 16, true);
+        const size = view.getUint32(at + 20, true);
+        const nameLength = view.getUint16(at + 28, true);
+        const offset = view.getUint32(at + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength));
+        assert.equal(view.getUint32(offset, true), 0x04034b50);
+        const start = offset + 30 + view.getUint16(offset + 26, true);
+        const data = bytes.subarray(start, start + size);
+        assert.equal(crc32(data), crc, `CRC of ${name}`);
+        entries.set(name, new TextDecoder().decode(data));
+        at += 46 + nameLength;
+    }
+    return entries;
+};
+
+test('writes CSV with RFC 4180 quoting, CRLF line endings and a BOM', async () => {
+    const blob = createExportBlob('csv', columns, [['Say "hi", ok', 'two\nlines', 3], [' padded', null, 0]]);
+    assert.equal(blob.type, 'text/csv;charset=utf-8');
+    const text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(await blob.arrayBuffer());
+    assert.equal(text, '\uFEFFName,note,count\r\n"Say ""hi"", ok","two\nlines",3\r\n" padded",,0\r\n');
+});
+
+test('guards formula-like text in CSV and TSV', async () => {
+    const records = [['=cmd|x', '-12', '@SUM(A1)'], ['+1+1', 'plain', -5]];
+    const csv = await createExportBlob('csv', columns, records, { bom: false }).text();
+    assert.equal(csv, "Name,note,count\r\n'=cmd|x,-12,'@SUM(A1)\r\n'+1+1,plain,-5\r\n");
+    const tsv = await createExportBlob('tsv', columns, records, { bom: false, escapeFormulas: false }).text();
+    assert.equal(tsv, 'Name\tnote\tcount\r\n=cmd|x\t-12\t@SUM(A1)\r\n+1+1\tplain\t-5\r\n');
+});
+
+test('keys JSON objects by column id', async () => {
+    const json = JSON.parse(await createExportBlob('json', columns, [['a', undefined, 1]]).text());
+    assert.deepEqual(json, [{ name: 'a', note: null, count: 1 }]);
+});
+
+test('packs XLSX as a valid ZIP with typed cells and unguarded inline strings', async () => {
+    const blob = createExportBlob('xlsx', columns, [['=cmd|x', 'a <b> & "c"', 42], [true, '', 1.5]], { sheetName: 'Q1/Q2' });
+    const entries = readZip(new Uint8Array(await blob.arrayBuffer()));
+    assert.deepEqual([...entries.keys()], ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+    assert.match(entries.get('xl/workbook.xml'), /<sheet name="Q1 Q2"/);
+    const sheet = entries.get('xl/worksheets/sheet1.xml');
+    assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">=cmd\|x<\/t><\/is><\/c>/);
+    assert.match(sheet, /<t xml:space="preserve">a &lt;b&gt; &amp; &quot;c&quot;<\/t>/);
+    assert.match(sheet, /<c r="C2"><v>42<\/v><\/c>/);
+    assert.match(sheet, /<row r="3"><c r="A3" t="b"><v>1<\/v><\/c><c r="C3"><v>1.5<\/v><\/c><\/row>/);
+});
+
+test('rejects unknown formats', () => {
+    assert.throws(() => createExportBlob('pdf', columns, []), /Unsupported export format 'pdf'/);
+});
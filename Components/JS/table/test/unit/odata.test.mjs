@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createODataSource } from '../../odata.js';
+
+/**
+ * Replaces `fetch` with a stub that answers each request with the next body and records the requested URLs.
+ */
+const stubFetch = (...bodies) => {
+    const urls = [];
+    globalThis.fetch = async (url) => {
+        urls.push(decodeURIComponent(url));
+        return { ok: true, status: 200, json: async () => bodies.shift() ?? { value: [] } };
+    };
+    return urls;
+};
+
+const columns = [
+    { id: 'UserName' },
+    { id: 'Age', dataType: 'number' },
+    { id: 'City', accessor: 'HomeAddress.City.Name' },
+    { id: 'Full', accessor: (row) => row.FirstName },
+];
+
+test('maps filters, sorters and paging onto query options', async () => {
+    const urls = stubFetch({ value: [{ UserName: 'a' }], '@odata.count': 21 });
+    const fetchData = createODataSource('http://host/odata/People');
+    const result = await fetchData({
+        page: 3,
+        pageSize: 5,
+        columns,
+        filters: {
+            UserName: { type: 'text', operator: 'startsWith', value: "O'Neil" },
+            Age: { type: 'number', operator: 'between', value: '20', valueTo: '30' },
+            Full: 'ignored',
+        },
+        sorters: [{ column: 'Age', order: 'desc' }, { column: 'City', order: 'asc' }],
+    });
+    assert.equal(urls[0], "http://host/odata/People?$count=true"
+        + "&$filter=startswith(tolower(UserName),'o''neil') and Age ge 20 and Age le 30"
+        + '&$orderby=Age desc,HomeAddress/City/Name asc&$top=5&$skip=10');
+    assert.deepEqual(result, { data: [{ UserName: 'a' }], totalCount: 21 });
+});
+
+test('drops number literals that are not numbers', async () => {
+    const urls = stubFetch({ value: [] });
+    await createODataSource('http://host/People')({ page: 1, pageSize: 0, columns, filters: { Age: '1 or true' } });
+    assert.equal(urls[0], 'http://host/People?$count=true');
+});
+
+test('leaves regex filters out unless enabled', async () => {
+    const filters = { UserName: { type: 'text', operator: 'regex', value: '^r' } };
+    let urls = stubFetch({ value: [] });
+    await createODataSource('http://host/People')({ page: 1, columns, filters });
+    assert.equal(urls[0], 'http://host/People?$count=true');
+
+    urls = stubFetch({ value: [] });
+    await createODataSource('http://host/People', { regex: true })({ page: 1, columns, filters });
+    assert.equal(urls[0], "http://host/People?$count=true&$filter=matchesPattern(UserName,'^r')");
+});
+
+test('searches every term across the searchable text columns in $filter', async () => {
+    const urls = stubFetch({ value: [] });
+    await createODataSource('http://host/People')({
+        page: 1,
+        columns,
+        filters: { Age: { type: 'number', operator: 'gt', value: '30' } },
+        search: ' ann  "new york" ',
+        searchColumns: ['UserName', 'Age', 'City', 'Full'],
+    });
+    assert.equal(urls[0], "http://host/People?$count=true&$filter=Age gt 30"
+        + " and (contains(tolower(UserName),'ann') or contains(tolower(HomeAddress/City/Name),'ann'))"
+        + " and (contains(tolower(UserName),'new york') or contains(tolower(HomeAddress/City/Name),'new york'))");
+});
+
+test('sends the search as $search when configured', async () => {
+    const urls = stubFetch({ value: [] });
+    await createODataSource('http://host/People', { search: '$search' })({ page: 1, columns, filters: {}, search: 'ann "new york"' });
+    assert.equal(urls[0], 'http://host/People?$count=true&$search=ann "new york"');
+});
+
+test('follows next links until the page is full, moving them onto the proxy URL', async () => {
+    const urls = stubFetch(
+        { value: [{ id: 1 }, { id: 2 }], '@odata.nextLink': 'https://services.example/V4/Service/People?$skiptoken=2' },
+        { value: [{ id: 3 }, { id: 4 }], '@odata.nextLink': 'https://services.example/V4/Service/People?$skiptoken=4' },
+    );
+    const result = await createODataSource('http://localhost:3000/odata/People')({ page: 1, pageSize: 3, columns, filters: {} });
+    assert.equal(urls[1], 'http://localhost:3000/odata/People?$skiptoken=2');
+    assert.equal(urls.length, 2);
+    assert.deepEqual(result.data.map(row => row.id), [1, 2, 3]);
+    // Without @odata.count the total is estimated from the rows seen so far.
+    assert.equal(result.totalCount, 6);
+});
+
+test('uses a custom mapNextLink', async () => {
+    const urls = stubFetch({ value: [], '@odata.nextLink': 'next' }, { value: [] });
+    await createODataSource('http://host/People', { mapNextLink: (link) => `http://proxy/${link}` })({ page: 1, pageSize: 2, columns, filters: {} });
+    assert.equal(urls[1], 'http://proxy/next');
+});
+
+test('rejects failed responses', async () => {
+    globalThis.fetch = async () => ({ ok: false, status: 400 });
+    await assert.rejects(createODataSource('http://host/People')({ page: 1, columns, filters: {} }), /Status: 400/);
+});
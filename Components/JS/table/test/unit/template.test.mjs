@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHTML, html, unsafeHTML, isTemplateResult, renderHTML, safeUrl } from '../../template.js';
+
+test('escapes markup and quotes', () => {
+    assert.equal(escapeHTML(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.equal(escapeHTML(null), '');
+    assert.equal(escapeHTML(0), '0');
+});
+
+test('escapes interpolated values but not nested templates', () => {
+    const name = '<b>"Ann"</b>';
+    const result = html`<a title="${name}">${html`<em>${name}</em>`}${unsafeHTML('<br>')}</a>`;
+    assert.ok(isTemplateResult(result));
+    assert.ok(!isTemplateResult({ strings: [], values: [] }));
+    assert.equal(renderHTML(result),
+        '<a title="&lt;b&gt;&quot;Ann&quot;&lt;/b&gt;"><em>&lt;b&gt;&quot;Ann&quot;&lt;/b&gt;</em><br></a>');
+});
+
+test('renders arrays and skips null, undefined and false', () => {
+    assert.equal(renderHTML(html`${['a', null, undefined, false, 0, html`<i>b</i>`]}`), 'a0<i>b</i>');
+    assert.equal(renderHTML('<script>'), '&lt;script&gt;');
+    assert.equal(renderHTML(null), '');
+});
+
+test('accepts relative, http(s), mailto and tel URLs', () => {
+    assert.equal(safeUrl(' /users/1 '), '/users/1');
+    assert.equal(safeUrl('photo.png'), 'photo.png');
+    assert.equal(safeUrl('https://example.com/?q=1'), 'https://example.com/?q=1');
+    assert.equal(safeUrl('mailto:ann@example.com'), 'mailto:ann@example.com');
+    assert.equal(safeUrl('tel:+4912345'), 'tel:+4912345');
+    assert.equal(safeUrl(null), '');
+});
+
+test('rejects script URLs, including ones hidden by whitespace and control characters', () => {
+    const attacks = [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        'java\rscript:alert(1)',
+        '\x01javascript:alert(1)',
+        ' \x00javascript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+    ];
+    attacks.forEach(url => assert.equal(safeUrl(url), '', JSON.stringify(url)));
+    attacks.forEach(url => assert.equal(safeUrl(url, true), '', JSON.stringify(url)));
+});
+
+test('accepts data:image URLs only for images', () => {
+    const image = 'data:image/png;base64,iVBORw0KGgo=';
+    assert.equal(safeUrl(image), '');
+    assert.equal(safeUrl(image, true), image);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toNumber } from '../../values.js';
+
+test('reads plain numeric strings with Number', () => {
+    assert.equal(toNumber('0.125'), 0.125);
+    assert.equal(toNumber('1e5'), 100000);
+    assert.equal(toNumber('-12.5'), -12.5);
+    assert.equal(toNumber(42), 42);
+});
+
+test('tells decimal separators apart from group separators', () => {
+    assert.equal(toNumber('1,234.500'), 1234.5);
+    assert.equal(toNumber('1.234,50'), 1234.5);
+    assert.equal(toNumber('1,234,567'), 1234567);
+    assert.equal(toNumber('1.234.567,89'), 1234567.89);
+    assert.equal(toNumber('1,5'), 1.5);
+    assert.equal(toNumber('$0,125'), 0.125);
+    assert.equal(toNumber('12.3456'), 12.3456);
+    assert.equal(toNumber('1 234,50'), 1234.5);
+});
+
+test('strips currency symbols and reads signs', () => {
+    assert.equal(toNumber('$1,234.50'), 1234.5);
+    assert.equal(toNumber('$1,234'), 1234);
+    assert.equal(toNumber('1,000'), 1000);
+    assert.equal(toNumber('$12,345'), 12345);
+    assert.equal(toNumber('€1.234'), 1234);
+    assert.equal(toNumber('€1,50'), 1.5);
+    assert.equal(toNumber('1.234,50 €'), 1234.5);
+    assert.equal(toNumber('(12)'), -12);
+    assert.equal(toNumber('-$3.25'), -3.25);
+    assert.equal(toNumber('3.25-'), -3.25);
+});
+
+test('returns NaN for values that are not numbers', () => {
+    assert.ok(Number.isNaN(toNumber('2024-01-05')));
+    assert.ok(Number.isNaN(toNumber('abc')));
+    assert.ok(Number.isNaN(toNumber('')));
+    assert.ok(Number.isNaN(toNumber(null)));
+    assert.ok(Number.isNaN(toNumber('1.2.3,4.5')));
+});
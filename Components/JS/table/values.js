@@ -0,0 +1,38 @@
+/**
+ * Converts a numeric or currency-formatted value ('$1,234.50', '1.234,50 €', '(12)', '12-') into a number.
+ * @brief Strips currency symbols and group separators and tells the decimal separator apart from grouping ones.
+ * @param {*} value The value to convert. Plain numeric strings ('0.125', '1e5') are read by `Number`.
+ * @returns {number} The number, or NaN if the value is not a number (e.g. '2024-01-05').
+ * @description A separator groups thousands when the other separator also appears ('1,234.50'), when it appears more
+ * than once ('1,234,567'), or when it appears once with exactly three digits after it and one to three before
+ * ('$1,234', '€1.234'). Otherwise a single separator is the decimal point ('1,5', '$0,125'). The value is negative only
+ * with a leading or trailing minus or when it is wrapped in parentheses.
+ */
+export function toNumber(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value ?? '').trim();
+    if (text === '') return NaN;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return Number(text);
+
+    const parenthesized = /^\(.*\)$/.test(text);
+    if (parenthesized) text = text.slice(1, -1).trim();
+    // Anything before the first and after the last digit or separator is a currency symbol, a unit or a sign.
+    const prefix = text.match(/^[^\d.,]*/)[0];
+    const suffix = text.slice(prefix.length).match(/[^\d.,]*$/)[0];
+    const negative = parenthesized || prefix.includes('-') || suffix.includes('-');
+    const digits = text.slice(prefix.length, text.length - suffix.length).replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^[\d.,]*\d[\d.,]*$/.test(digits)) return NaN;
+
+    const dots = digits.split('.').length - 1;
+    const commas = digits.split(',').length - 1;
+    let decimal = null;
+    if (dots && commas) decimal = digits.lastIndexOf('.') > digits.lastIndexOf(',') ? '.' : ',';
+    else if (dots === 1) decimal = '.';
+    else if (commas === 1) decimal = ',';
+    if (decimal && digits.split(decimal).length > 2) return NaN;
+    if (decimal && !(dots && commas) && /^[1-9]\d{0,2}[.,]\d{3}$/.test(digits)) decimal = null;
+
+    const [integer, fraction = ''] = (decimal ? digits.split(decimal) : [digits]);
+    const number = Number(`${integer.replace(/[.,]/g, '') || '0'}.${fraction || '0'}`);
+    return negative ? -number : number;
+}